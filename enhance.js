@@ -1,11 +1,15 @@
-import CognitoIdentityServiceProvider from 'aws-sdk/clients/cognitoidentityserviceprovider';
+/* global AWSCognito */
 import * as enhancements from './src';
 
 export * from './src';
 
-Object.keys(enhancements).forEach(key => {
-  CognitoIdentityServiceProvider[key] = enhancements[key];
-});
+// Also exposed as AWSCognito.CognitoIdentityServiceProvider.* when the aws-cognito-sdk
+// bundle is loaded, without requiring it for the http transport
+if (typeof AWSCognito !== 'undefined' && AWSCognito.CognitoIdentityServiceProvider) {
+  Object.keys(enhancements).forEach(key => {
+    AWSCognito.CognitoIdentityServiceProvider[key] = enhancements[key];
+  });
+}
 
 // The version of crypto-browserify included by aws-sdk only
 // checks for window.crypto, not window.msCrypto as used by
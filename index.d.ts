@@ -24,41 +24,232 @@ declare module "amazon-cognito-identity-js" {
         clear(): void;
     }
 
+    export interface IAsyncStorage {
+        getItem(key: string): Promise<string | null | undefined>;
+        setItem(key: string, value: string): Promise<any>;
+        removeItem(key: string): Promise<any>;
+        getAllKeys?(): Promise<string[]>;
+        multiGet?(keys: string[]): Promise<Array<[string, string | null]>>;
+    }
+
+    export class AsyncStorageCache implements ICognitoStorage {
+        constructor(asyncStorage: IAsyncStorage, options?: { keyPrefix?: string, indexKey?: string });
+
+        public isHydrated(): boolean;
+        public sync(callback: NodeCallback<any, { [key: string]: string }>): void;
+        public sync(): Promise<{ [key: string]: string }>;
+        public flush(callback: NodeCallback<any, "SUCCESS">): void;
+        public flush(): Promise<"SUCCESS">;
+        public setItem(key: string, value: string): string;
+        public getItem(key: string): string | null;
+        public removeItem(key: string): boolean;
+        public clear(): {};
+    }
+
+    export interface IStoredCryptoKey {
+        id: string;
+        key: CryptoKey;
+        created: number;
+    }
+
+    export class CryptoKeyStore {
+        constructor(options?: { databaseName?: string });
+
+        public getKeys(): Promise<IStoredCryptoKey[]>;
+        public getCurrentKey(): Promise<IStoredCryptoKey>;
+        public createKey(): Promise<IStoredCryptoKey>;
+        public removeKey(id: string): Promise<void>;
+    }
+
+    export class EncryptedStorage extends AsyncStorageCache {
+        constructor(storage: ICognitoStorage | IAsyncStorage, options?: { keyStore?: CryptoKeyStore, keyPrefix?: string, indexKey?: string });
+
+        public rotateKey(callback: NodeCallback<any, string>): void;
+        public rotateKey(): Promise<string>;
+    }
+
+    export interface ICookieStorageData {
+        domain?: string;
+        path?: string;
+        expires?: number;
+        secure?: boolean;
+        sameSite?: "strict" | "lax" | "none";
+        maxCookieSize?: number;
+        cookieHeader?: string;
+    }
+
+    export class CookieStorage implements ICognitoStorage {
+        constructor(data?: ICookieStorageData);
+
+        public setItem(key: string, value: string): string;
+        public getItem(key: string): string | null;
+        public removeItem(key: string): boolean;
+        public clear(): {};
+        public getSetCookieHeaders(): string[];
+    }
+
     export interface ICognitoUserData {
         Username: string;
         Pool: CognitoUserPool;
         Storage?: ICognitoStorage;
+        deviceName?: DeviceNameProvider;
+        rememberDevice?: RememberDevicePolicy;
+    }
+
+    export type SignInStep =
+        { nextStep: "DONE", session: CognitoUserSession, userConfirmationNecessary: boolean } |
+        { nextStep: "SMS_MFA" | "SOFTWARE_TOKEN_MFA" | "SELECT_MFA_TYPE" | "MFA_SETUP", challengeParameters: any } |
+        { nextStep: "CUSTOM_CHALLENGE", challengeParameters: any } |
+        { nextStep: "NEW_PASSWORD_REQUIRED", userAttributes: any, requiredAttributes: string[] };
+
+    export type SignInState = "INITIAL" | "PASSWORD_VERIFIER" | "SMS_MFA" | "SOFTWARE_TOKEN_MFA" |
+        "SELECT_MFA_TYPE" | "MFA_SETUP" | "NEW_PASSWORD_REQUIRED" | "CUSTOM_CHALLENGE" | "DEVICE_SRP_AUTH" | "DONE";
+
+    export interface ISoftwareTokenAssociation {
+        secretCode: string;
+        otpauthUri: string;
+    }
+
+    export interface IMfaSettings {
+        Enabled: boolean;
+        PreferredMfa: boolean;
+    }
+
+    export class SignInStateMachine {
+        constructor(data?: { state?: SignInState, session?: string, challengeParameters?: any });
+
+        public getState(): SignInState;
+        public getSession(): string | null;
+        public getChallengeParameters(): any;
+        public isPending(): boolean;
+        public canTransition(state: SignInState): boolean;
+        public transition(state: SignInState, data?: { Session?: string, ChallengeParameters?: any }): void;
+        public assertState(state: SignInState): void;
+        public reset(): void;
+        public toJSON(): { state: SignInState, session: string | null, challengeParameters: any };
+    }
+
+    export interface ITokenRefresherOptions {
+        refreshMargin?: number;
+        maxRetries?: number;
+        retryDelay?: number;
+        maxRetryDelay?: number;
+    }
+
+    export class TokenRefresher {
+        constructor(user: CognitoUser, options?: ITokenRefresherOptions);
+
+        public on(event: "tokenRefreshed", listener: (session: CognitoUserSession) => void): this;
+        public on(event: "refreshFailed", listener: (err: any, attempt: number) => void): this;
+        public on(event: "sessionExpired", listener: (err: any) => void): this;
+        public off(event: string, listener: (...args: any[]) => void): this;
+        public isRunning(): boolean;
+        public start(): void;
+        public stop(): void;
+        public pause(): void;
+        public resume(): void;
+        public refresh(): void;
+    }
+
+    export interface ICognitoIdentityPoolBridgeOptions {
+        IdentityPoolId: string;
+        clientConfig?: any;
+    }
+
+    export class CognitoIdentityPoolBridge {
+        constructor(user: CognitoUser, options: ICognitoIdentityPoolBridgeOptions);
+
+        public static getLoginKey(userPoolId: string): string;
+
+        public on(event: "credentialsRefreshed", listener: (credentials: AWS.CognitoIdentityCredentials) => void): this;
+        public on(event: "refreshFailed", listener: (err: any) => void): this;
+        public on(event: "credentialsCleared", listener: () => void): this;
+        public off(event: string, listener: (...args: any[]) => void): this;
+        public getCredentials(): AWS.CognitoIdentityCredentials;
+        public refresh(callback: NodeCallback<any, AWS.CognitoIdentityCredentials>): void;
+        public stop(): void;
     }
 
     export class CognitoUser {
         constructor(data: ICognitoUserData);
 
         public getSignInUserSession(): CognitoUserSession | null;
+        public setSignInUserSession(signInUserSession: CognitoUserSession): void;
         public getUsername(): string;
 
         public getAuthenticationFlowType(): string;
         public setAuthenticationFlowType(authenticationFlowType: string): string;
 
+        public getSignInState(): SignInState;
+        public restoreSignInState(): boolean;
+
         public getSession(callback: Function): any;
+        public getSession(): Promise<CognitoUserSession>;
+        public getSessionAsync(callback: NodeCallback<any, CognitoUserSession>): void;
+        public getSessionAsync(): Promise<CognitoUserSession>;
         public refreshSession(refreshToken: CognitoRefreshToken, callback: NodeCallback<any, any>): void;
+        public refreshSession(refreshToken: CognitoRefreshToken): Promise<CognitoUserSession>;
         public authenticateUser(authenticationDetails: AuthenticationDetails,
                                 callbacks: {
                                     onSuccess: (session: CognitoUserSession, userConfirmationNecessary?: boolean) => void,
                                     onFailure: (err: any) => void,
                                     newPasswordRequired?: (userAttributes: any, requiredAttributes: any) => void,
                                     mfaRequired?: (challengeName: any, challengeParameters: any) => void,
+                                    totpRequired?: (challengeName: any, challengeParameters: any) => void,
+                                    selectMFAType?: (challengeName: any, challengeParameters: any) => void,
+                                    mfaSetup?: (challengeName: any, challengeParameters: any) => void,
                                     customChallenge?: (challengeParameters: any) => void
                                 }): void;
+        public authenticateUser(authenticationDetails: AuthenticationDetails): Promise<SignInStep>;
+        public prepareAuthentication(): void;
+        public getDeviceRememberingDecision(): "remember" | "track" | null;
+        public resetDeviceRememberingDecision(): void;
+        public initiateAuth(authenticationDetails: AuthenticationDetails,
+                            callbacks: {
+                                onSuccess: (session: CognitoUserSession) => void,
+                                onFailure: (err: any) => void,
+                                customChallenge: (challengeParameters: any) => void
+                            }): void;
+        public initiateAuth(authenticationDetails: AuthenticationDetails): Promise<SignInStep>;
         public confirmRegistration(code: string, forceAliasCreation: boolean, callback: NodeCallback<any, any>): void;
+        public confirmRegistration(code: string, forceAliasCreation?: boolean): Promise<"SUCCESS">;
         public sendCustomChallengeAnswer(answerChallenge: any, callback:NodeCallback<any, any>):void;
+        public sendCustomChallengeAnswer(answerChallenge: any): Promise<SignInStep>;
         public resendConfirmationCode(callback: NodeCallback<Error, "SUCCESS">): void;
+        public resendConfirmationCode(): Promise<any>;
         public changePassword(oldPassword: string, newPassword: string, callback: NodeCallback<Error, "SUCCESS">): void;
+        public changePassword(oldPassword: string, newPassword: string): Promise<"SUCCESS">;
         public forgotPassword(callbacks: { onSuccess: (data: any) => void, onFailure: (err: Error) => void, inputVerificationCode?: (data: any) => void }): void;
+        public forgotPassword(): Promise<any>;
         public confirmPassword(verificationCode: string, newPassword: string, callbacks: { onSuccess: () => void, onFailure: (err: Error) => void }): void;
+        public confirmPassword(verificationCode: string, newPassword: string): Promise<void>;
         public setDeviceStatusRemembered(callbacks: { onSuccess: (success: string) => void, onFailure: (err: any) => void }): void;
+        public setDeviceStatusRemembered(): Promise<"SUCCESS">;
         public setDeviceStatusNotRemembered(callbacks: { onSuccess: (success: string) => void, onFailure: (err: any) => void }): void;
+        public setDeviceStatusNotRemembered(): Promise<"SUCCESS">;
         public getDevice(callbacks: {onSuccess: (success: string) => void, onFailure: (err: Error) => void}): any;
-        public sendMFACode(confirmationCode: string, callbacks: { onSuccess: (session: CognitoUserSession) => void, onFailure: (err: any) => void }): void;
+        public getDevice(): Promise<any>;
+        public forgetSpecificDevice(deviceKey: string, callbacks: { onSuccess: (success: string) => void, onFailure: (err: Error) => void }): void;
+        public forgetSpecificDevice(deviceKey: string): Promise<"SUCCESS">;
+        public forgetDevice(callbacks: { onSuccess: (success: string) => void, onFailure: (err: Error) => void }): void;
+        public forgetDevice(): Promise<"SUCCESS">;
+        public listDevices(limit: number, paginationToken: string | null, callbacks: { onSuccess: (data: any) => void, onFailure: (err: Error) => void }): void;
+        public listDevices(limit: number, paginationToken: string | null): Promise<any>;
+        public sendMFACode(confirmationCode: string, callbacks: { onSuccess: (session: CognitoUserSession) => void, onFailure: (err: any) => void }, mfaType?: "SMS_MFA" | "SOFTWARE_TOKEN_MFA"): void;
+        public sendMFACode(confirmationCode: string, callbacks?: null, mfaType?: "SMS_MFA" | "SOFTWARE_TOKEN_MFA"): Promise<SignInStep>;
+        public sendMFASelectionAnswer(answerChallenge: "SMS_MFA" | "SOFTWARE_TOKEN_MFA",
+                                      callbacks: {
+                                          onFailure: (err: any) => void,
+                                          mfaRequired?: (challengeName: any, challengeParameters: any) => void,
+                                          totpRequired?: (challengeName: any, challengeParameters: any) => void
+                                      }): void;
+        public sendMFASelectionAnswer(answerChallenge: "SMS_MFA" | "SOFTWARE_TOKEN_MFA"): Promise<SignInStep>;
+        public associateSoftwareToken(issuer: string | null, callbacks: { onSuccess: (association: ISoftwareTokenAssociation) => void, onFailure: (err: any) => void }): void;
+        public associateSoftwareToken(issuer?: string): Promise<ISoftwareTokenAssociation>;
+        public verifySoftwareToken(totpCode: string, friendlyDeviceName: string | null, callbacks: { onSuccess: (result: any) => void, onFailure: (err: any) => void }): void;
+        public verifySoftwareToken(totpCode: string, friendlyDeviceName?: string): Promise<any>;
+        public setUserMfaPreference(smsMfaSettings: IMfaSettings | null, softwareTokenMfaSettings: IMfaSettings | null, callback: NodeCallback<Error, "SUCCESS">): void;
+        public setUserMfaPreference(smsMfaSettings: IMfaSettings | null, softwareTokenMfaSettings: IMfaSettings | null): Promise<"SUCCESS">;
         public completeNewPasswordChallenge(newPassword: string,
                                             requiredAttributeData: any,
                                             callbacks: {
@@ -67,17 +258,31 @@ declare module "amazon-cognito-identity-js" {
                                                 mfaRequired?: (challengeName: any, challengeParameters: any) => void,
                                                 customChallenge?: (challengeParameters: any) => void
                                             }): void;
-        public signOut(): void;
+        public completeNewPasswordChallenge(newPassword: string, requiredAttributeData: any): Promise<SignInStep>;
+        public signOut(options: { revokeToken?: boolean } | null, callback: NodeCallback<Error, IRevocationResult>): void;
+        public signOut(options?: { revokeToken?: boolean } | null): Promise<IRevocationResult>;
+        public startTokenRefresher(options?: ITokenRefresherOptions): TokenRefresher;
+        public stopTokenRefresher(): void;
         public globalSignOut(callbacks: { onSuccess: (msg: string) => void, onFailure: (err: Error) => void }): void;
+        public globalSignOut(): Promise<"SUCCESS">;
         public verifyAttribute(attributeName: string, confirmationCode: string, callbacks: { onSuccess: (success: string) => void, onFailure: (err: Error) => void }): void;
+        public verifyAttribute(attributeName: string, confirmationCode: string): Promise<"SUCCESS">;
         public getUserAttributes(callback: NodeCallback<Error, CognitoUserAttribute[]>): void;
+        public getUserAttributes(): Promise<CognitoUserAttribute[]>;
         public updateAttributes(attributes: ICognitoUserAttributeData[], callback: NodeCallback<Error,string>): void;
+        public updateAttributes(attributes: ICognitoUserAttributeData[]): Promise<"SUCCESS">;
         public deleteAttributes(attributeList: string[], callback: NodeCallback<Error, string>): void;
+        public deleteAttributes(attributeList: string[]): Promise<"SUCCESS">;
         public getAttributeVerificationCode(name: string, callback: { onSuccess: () => void, onFailure: (err: Error) => void, inputVerificationCode: (data: string) => void | null }): void;
+        public getAttributeVerificationCode(name: string): Promise<any>;
         public deleteUser(callback: NodeCallback<Error, string>): void;
+        public deleteUser(): Promise<"SUCCESS">;
         public enableMFA(callback: NodeCallback<Error, string>): void;
+        public enableMFA(): Promise<"SUCCESS">;
         public disableMFA(callback: NodeCallback<Error, string>): void;
+        public disableMFA(): Promise<"SUCCESS">;
         public getMFAOptions(callback: NodeCallback<Error, MFAOption[]>): void;
+        public getMFAOptions(): Promise<MFAOption[]>;
     }
 
     export interface MFAOption {
@@ -110,8 +315,72 @@ declare module "amazon-cognito-identity-js" {
     export interface ICognitoUserPoolData {
         UserPoolId: string;
         ClientId: string;
+        ClientSecret?: string;
         endpoint?: string;
         Storage?: ICognitoStorage;
+        RefreshMargin?: number;
+        OAuth?: ICognitoOAuthOptions;
+        transport?: "aws-sdk" | "http" | ICognitoTransport;
+        requestOptions?: IRequestOptions;
+        srpBackend?: SrpBackend;
+        srpWorker?: boolean | SrpWorker;
+        deviceName?: DeviceNameProvider;
+        rememberDevice?: RememberDevicePolicy;
+    }
+
+    export interface IAbortSignal {
+        aborted: boolean;
+        addEventListener(type: "abort", listener: () => void): void;
+        removeEventListener(type: "abort", listener: () => void): void;
+    }
+
+    export interface IRequestOptions {
+        maxRetries?: number;
+        retryDelay?: number;
+        maxRetryDelay?: number;
+        timeout?: number;
+        signal?: IAbortSignal;
+    }
+
+    export interface IServiceRequest {
+        operation: string;
+        params: any;
+        headers: { [name: string]: string };
+        attempt: number;
+        timeout: number;
+        signal?: IAbortSignal;
+    }
+
+    export type RequestMiddleware = (request: IServiceRequest, next: (callback: NodeCallback<any, any>) => void, callback: NodeCallback<any, any>) => void;
+
+    export class RequestPipeline {
+        constructor(client: ICognitoTransport, options?: IRequestOptions);
+
+        public use(middleware: RequestMiddleware): () => void;
+        public send(operation: string, params: any, callback: NodeCallback<CognitoError, any>): void;
+    }
+
+    export interface ICognitoTransport {
+        makeUnauthenticatedRequest(operation: string, params: any, callback: NodeCallback<any, any>): any;
+    }
+
+    export class CognitoServiceClient implements ICognitoTransport {
+        constructor(options: { region: string, endpoint?: string });
+
+        public makeUnauthenticatedRequest(operation: string, params: any, callback: NodeCallback<CognitoServiceError, any>): void;
+        public send(request: { operation: string, params: any, headers?: { [name: string]: string } }, callback: NodeCallback<CognitoServiceError, any>): () => void;
+    }
+
+    export interface IRevocationResult {
+        revoked: boolean;
+        queued: boolean;
+        error?: Error;
+    }
+
+    export interface IAuthStateChange {
+        event: "signIn" | "signOut" | "tokenRefresh" | "userSwitch";
+        user: CognitoUser;
+        crossTab: boolean;
     }
 
     export class CognitoUserPool {
@@ -119,16 +388,37 @@ declare module "amazon-cognito-identity-js" {
 
         public getUserPoolId(): string;
         public getClientId(): string;
+        public getRefreshMargin(): number;
+        public getSrpBackend(): SrpBackend;
+        public getSrpWorker(): SrpWorker | null;
+        public getDeviceNameProvider(): DeviceNameProvider | null;
+        public getRememberDevicePolicy(): RememberDevicePolicy | null;
+        public getOAuthClient(): CognitoOAuthClient | null;
+        public use(middleware: RequestMiddleware): () => void;
+        public getSecretHash(username: string): string | undefined;
 
         public signUp(username: string, password: string, userAttributes: CognitoUserAttribute[], validationData: CognitoUserAttribute[], callback: NodeCallback<Error,ISignUpResult>): void;
+        public signUp(username: string, password: string, userAttributes: CognitoUserAttribute[], validationData: CognitoUserAttribute[]): Promise<ISignUpResult>;
 
         public getCurrentUser(): CognitoUser | null;
+        public getCachedUsers(): CognitoUser[];
+        public revokeRefreshToken(refreshToken: string, callback: NodeCallback<Error, IRevocationResult>): void;
+        public revokeRefreshToken(refreshToken: string): Promise<IRevocationResult>;
+        public retryPendingRevocations(callback: NodeCallback<Error, number>): void;
+        public retryPendingRevocations(): Promise<number>;
+        public switchUser(username: string): CognitoUser | null;
+        public getCurrentUserAsync(callback: NodeCallback<any, CognitoUser | null>): void;
+        public getCurrentUserAsync(): Promise<CognitoUser | null>;
+        public resumeSignIn(): CognitoUser | null;
+        public onAuthStateChange(listener: (change: IAuthStateChange) => void): () => void;
     }
 
     export interface ICognitoUserSessionData {
         IdToken: string;
         AccessToken: string;
         RefreshToken?: string;
+        ClockDrift?: number;
+        RefreshMargin?: number;
     }
 
     export class CognitoUserSession {
@@ -137,6 +427,17 @@ declare module "amazon-cognito-identity-js" {
         public getIdToken(): CognitoIdToken;
         public getRefreshToken(): CognitoRefreshToken;
         public getAccessToken(): CognitoAccessToken;
+        public getClockDrift(): number;
+        public static calculateClockDrift(idToken: CognitoIdToken, accessToken: CognitoAccessToken): number;
+        public getRefreshMargin(): number;
+        public getClaim(name: string): any;
+        public getSub(): string;
+        public getAuthTime(): number;
+        public getIssuedAt(): number;
+        public getGroups(): string[];
+        public getScopes(): string[];
+        public hasGroup(group: string): boolean;
+        public hasScope(scope: string): boolean;
         public isValid(): boolean;
     }
 
@@ -144,18 +445,27 @@ declare module "amazon-cognito-identity-js" {
         public config: AWS.CognitoIdentityServiceProvider.Types.ClientConfiguration;
     }
 
-    export class CognitoAccessToken {
-        constructor({ AccessToken }: { AccessToken: string });
+    export class CognitoJwtToken {
+        constructor(token: string);
 
         public getJwtToken(): string;
+        public decodeHeader(): { [key: string]: any };
+        public decodePayload(): { [key: string]: any };
+        public getClaim(name: string): any;
         public getExpiration(): number;
+        public getIssuedAt(): number;
+        public getAuthTime(): number;
+        public getSub(): string;
+        public getGroups(): string[];
+        public getScopes(): string[];
     }
 
-    export class CognitoIdToken {
-        constructor({ IdToken }: { IdToken: string });
+    export class CognitoAccessToken extends CognitoJwtToken {
+        constructor({ AccessToken }: { AccessToken: string });
+    }
 
-        public getJwtToken(): string;
-        public getExpiration(): number;
+    export class CognitoIdToken extends CognitoJwtToken {
+        constructor({ IdToken }: { IdToken: string });
     }
 
     export class CognitoRefreshToken {
@@ -163,4 +473,179 @@ declare module "amazon-cognito-identity-js" {
 
         public getToken(): string;
     }
+
+    export class CognitoError extends Error {
+        constructor(message: string, code?: string);
+        code: string;
+    }
+    export class NotAuthenticatedError extends CognitoError {
+        constructor(message?: string);
+    }
+    export class SessionExpiredError extends CognitoError {
+        constructor(message: string, originalError?: Error);
+        originalError?: Error;
+    }
+    export class ChallengeRequiredError extends CognitoError {
+        constructor(message: string, challengeName: string, challengeParameters?: any);
+        challengeName: string;
+        challengeParameters: any;
+    }
+    export class DeviceNotFoundError extends CognitoError {
+        constructor(message: string, deviceKey?: string, originalError?: Error);
+        deviceKey?: string;
+        originalError?: Error;
+    }
+    export class RequestAbortedError extends CognitoError {
+        constructor(message?: string);
+    }
+    export class CognitoServiceError extends CognitoError {
+        constructor(message: string, code: string, details?: { statusCode?: number, requestId?: string, retryable?: boolean, originalError?: Error });
+        statusCode?: number;
+        requestId?: string;
+        retryable: boolean;
+        originalError?: Error;
+        public static wrap(err: Error): CognitoError;
+    }
+
+    export class JwtVerificationError extends CognitoError {
+        constructor(message: string, code?: string);
+    }
+    export class JwtParseError extends JwtVerificationError {}
+    export class JwtInvalidSignatureError extends JwtVerificationError {}
+    export class JwtExpiredError extends JwtVerificationError {
+        expiration: number;
+    }
+    export class JwtInvalidClaimError extends JwtVerificationError {
+        claim: string;
+        value: any;
+    }
+    export class JwksError extends JwtVerificationError {
+        kid?: string;
+    }
+
+    export interface ICognitoJwtVerifierData {
+        UserPoolId: string;
+        ClientId?: string | string[];
+        tokenUse?: "id" | "access";
+        clockSkew?: number;
+        jwks?: { keys: any[] };
+        fetchJwks?: (url: string, callback: NodeCallback<any, { keys: any[] }>) => void;
+    }
+
+    export class CognitoJwtVerifier {
+        constructor(data: ICognitoJwtVerifierData);
+
+        public getIssuer(): string;
+        public cacheJwks(jwks: { keys: any[] }): void;
+        public verifySync(token: string | CognitoIdToken | CognitoAccessToken): any;
+        public verify(token: string | CognitoIdToken | CognitoAccessToken, callback: NodeCallback<JwtVerificationError, any>): void;
+        public verify(token: string | CognitoIdToken | CognitoAccessToken): Promise<any>;
+        public loadJwks(callback: NodeCallback<JwksError, { keys: any[] }>): void;
+        public loadJwks(): Promise<{ keys: any[] }>;
+    }
+
+    export interface IHttpRequest {
+        method?: string;
+        url: string;
+        headers?: { [name: string]: string };
+        body?: string;
+    }
+
+    export interface IHttpResponse {
+        statusCode: number;
+        headers: { [name: string]: string };
+        body: string;
+    }
+
+    export type SrpBackend = "auto" | "native" | "js" | { new (value: string, radix?: number): any };
+
+    export class AuthenticationHelper {
+        constructor(poolName: string, options?: { mathBackend?: SrpBackend, worker?: SrpWorker | null });
+
+        public static getBigInteger(backend?: SrpBackend): { new (value: string, radix?: number): any };
+        public getSmallAValue(): any;
+        public getLargeAValue(): any;
+        public getLargeAValueAsync(callback: NodeCallback<Error, any>): void;
+        public getPasswordAuthenticationKey(username: string, password: string, serverBValue: any, salt: any): Uint8Array;
+        public getPasswordAuthenticationKeyAsync(username: string, password: string, serverBValue: any, salt: any, callback: NodeCallback<Error, Uint8Array>): void;
+        public generateHashDevice(deviceGroupKey: string, username: string): void;
+        public getRandomPassword(): string;
+        public getSaltDevices(): string;
+        public getVerifierDevices(): string;
+        public padHex(value: any): string;
+    }
+
+    export class NativeBigInteger {
+        constructor(value: string, radix?: number);
+
+        public static isSupported(): boolean;
+        public toString(radix?: number): string;
+        public compareTo(other: NativeBigInteger): number;
+        public equals(other: NativeBigInteger): boolean;
+        public add(other: NativeBigInteger): NativeBigInteger;
+        public subtract(other: NativeBigInteger): NativeBigInteger;
+        public multiply(other: NativeBigInteger): NativeBigInteger;
+        public mod(m: NativeBigInteger): NativeBigInteger;
+        public modPow(e: NativeBigInteger, m: NativeBigInteger): NativeBigInteger;
+    }
+
+    export type DeviceNameProvider = string | ((user: CognitoUser) => string);
+
+    export type DeviceRememberingDecision = "remember" | "track" | "skip";
+    export type RememberDevicePolicy = DeviceRememberingDecision |
+        ((user: CognitoUser, callback: NodeCallback<Error, DeviceRememberingDecision>) => void);
+
+    export class DeviceNameHelper {
+        public getDeviceName(): string;
+        public static fromUserAgent(userAgent: string): string;
+    }
+
+    export class SrpWorker {
+        constructor();
+
+        public static getShared(): SrpWorker;
+        public static isSupported(): boolean;
+        public modPow(base: string, exponent: string, modulus: string, callback: NodeCallback<Error, string>): void;
+        public terminate(): void;
+    }
+
+    export class CryptoHelper {
+        public static sha256(data: Uint8Array | string): string;
+        public static hmacSha256(key: Uint8Array, data: Uint8Array | string): Uint8Array;
+        public static hkdf(ikm: Uint8Array, salt: Uint8Array, info: Uint8Array, length: number): Uint8Array;
+        public static hkdfAsync(ikm: Uint8Array, salt: Uint8Array, info: Uint8Array, length: number, callback: NodeCallback<Error, Uint8Array>): void;
+    }
+
+    export class HttpClient {
+        public static request(request: IHttpRequest, callback: NodeCallback<Error, IHttpResponse>): () => void;
+        public static requestJson(request: IHttpRequest, callback: NodeCallback<Error, any>): void;
+        public static encodeParams(params: { [name: string]: any }): string;
+        public static decodeQuery(url: string): { [name: string]: string };
+    }
+
+    export interface ICognitoOAuthOptions {
+        domain: string;
+        redirectSignIn: string;
+        redirectSignOut?: string;
+        scopes?: string[];
+        authorizeEndpoint?: string;
+        tokenEndpoint?: string;
+        logoutEndpoint?: string;
+        revokeEndpoint?: string;
+    }
+
+    export class CognitoOAuthClient {
+        constructor(pool: CognitoUserPool, options: ICognitoOAuthOptions);
+
+        public getAuthorizeUrl(params?: { identityProvider?: string, scopes?: string[] }): string;
+        public parseCallbackUrl(url: string): string;
+        public handleCallback(url: string, callback: NodeCallback<Error, CognitoUser>): void;
+        public handleCallback(url: string): Promise<CognitoUser>;
+        public exchangeCode(code: string, callback: NodeCallback<Error, CognitoUser>): void;
+        public exchangeCode(code: string): Promise<CognitoUser>;
+        public revokeToken(refreshToken: string, callback: NodeCallback<Error, void>): void;
+        public revokeToken(refreshToken: string): Promise<void>;
+        public getLogoutUrl(): string;
+        public signOut(cognitoUser?: CognitoUser): string;
+    }
 }
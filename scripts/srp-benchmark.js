@@ -0,0 +1,142 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Checks the SRP math backends, the asynchronous computations and the SRP worker against
+ * the golden vectors of srp-vectors.json, then times the backends. The vectors come from
+ * a complete SRP exchange: the server key computed from the verifier matches the client one.
+ * Run with npm run benchmark:srp.
+ */
+
+'use strict';
+
+const path = require('path');
+const vectors = require('./srp-vectors.json').vectors;
+const lib = require('../lib');
+
+const AuthenticationHelper = lib.AuthenticationHelper;
+const CryptoHelper = lib.CryptoHelper;
+const NativeBigInteger = lib.NativeBigInteger;
+const SrpWorker = lib.SrpWorker;
+
+const iterations = Number(process.env.SRP_ITERATIONS) || 20;
+const backends = NativeBigInteger.isSupported() ? ['js', 'native'] : ['js'];
+let failures = 0;
+
+function check(name, actual, expected) {
+  if (actual !== expected) {
+    failures += 1;
+    console.error(`FAIL ${name}\n  expected ${expected}\n  actual   ${actual}`);
+  }
+}
+
+function createHelper(vector, backend, worker) {
+  const helper = new AuthenticationHelper(vector.poolName, { mathBackend: backend, worker });
+  helper.smallAValue = new helper.BigInteger(vector.smallA, 16);
+  return helper;
+}
+
+function time(fn) {
+  const start = process.hrtime();
+  for (let i = 0; i < iterations; i += 1) {
+    fn(i);
+  }
+  const elapsed = process.hrtime(start);
+  return ((elapsed[0] * 1e3) + (elapsed[1] / 1e6)) / iterations;
+}
+
+backends.forEach(backend => {
+  vectors.forEach((vector, i) => {
+    const helper = createHelper(vector, backend);
+    const key = helper.getPasswordAuthenticationKey(
+      vector.username, vector.password, vector.serverB, vector.salt);
+
+    check(`${backend} vector ${i} A`, helper.getLargeAValue().toString(16), vector.largeA);
+    check(`${backend} vector ${i} u`, helper.UValue.toString(16), vector.u);
+    check(`${backend} vector ${i} key`, key.toString('hex'), vector.passwordAuthenticationKey);
+  });
+});
+
+const worker = SrpWorker.isSupported() ? new SrpWorker() : null;
+const asyncRuns = [];
+backends.forEach(backend => {
+  asyncRuns.push({ name: `${backend} async`, backend, worker: null });
+});
+if (worker != null) {
+  asyncRuns.push({ name: 'native worker', backend: 'native', worker });
+}
+
+let pending = (asyncRuns.length + 1) * vectors.length;
+function done() {
+  pending -= 1;
+  if (pending === 0) {
+    if (worker != null) {
+      worker.terminate();
+    }
+    report();
+  }
+}
+
+asyncRuns.forEach(run => {
+  vectors.forEach((vector, i) => {
+    const helper = createHelper(vector, run.backend, run.worker);
+    helper.getPasswordAuthenticationKeyAsync(
+      vector.username, vector.password, vector.serverB, vector.salt, (err, key) => {
+        check(`${run.name} vector ${i} key`, err ? String(err) : key.toString('hex'),
+          vector.passwordAuthenticationKey);
+        done();
+      });
+  });
+});
+
+vectors.forEach((vector, i) => {
+  const helper = createHelper(vector, 'js');
+  const ikm = new Buffer(vector.largeA, 'hex');
+  const salt = new Buffer(vector.salt, 'hex');
+  const expected = CryptoHelper.hkdf(ikm, salt, helper.infoBits, 16).toString('hex');
+
+  CryptoHelper.hkdfAsync(ikm, salt, helper.infoBits, 16, (err, key) => {
+    check(`WebCrypto hkdf ${i}`, err ? String(err) : key.toString('hex'), expected);
+    done();
+  });
+});
+
+function report() {
+  if (failures > 0) {
+    console.error(`${failures} SRP values differ from ${path.join(__dirname, 'srp-vectors.json')}`);
+    process.exit(1);
+  }
+  console.log(`All backends match the ${vectors.length} golden vectors.\n`);
+
+  console.log(`Average over ${iterations} runs (ms):`);
+  console.log('backend   calculateA   getPasswordAuthenticationKey');
+  backends.forEach(backend => {
+    const helpers = [];
+    const calculateA = time(() => {
+      const helper = new AuthenticationHelper('Benchmark', { mathBackend: backend });
+      helper.getLargeAValue();
+      helpers.push(helper);
+    });
+    const vector = vectors[0];
+    const passwordKey = time(i => {
+      helpers[i].getPasswordAuthenticationKey(
+        vector.username, vector.password, vector.serverB, vector.salt);
+    });
+    console.log(`${backend}${' '.repeat(10 - backend.length)}${calculateA.toFixed(1)}` +
+      `${' '.repeat(13 - calculateA.toFixed(1).length)}${passwordKey.toFixed(1)}`);
+  });
+}
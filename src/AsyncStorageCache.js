@@ -0,0 +1,248 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import PromiseHelper from './PromiseHelper';
+
+/**
+ * @typedef {object} AsyncStorage
+ * @property {function(string): Promise<string>} getItem Reads an item.
+ * @property {function(string, string): Promise} setItem Writes an item.
+ * @property {function(string): Promise} removeItem Removes an item.
+ * @property {function(): Promise<string[]>=} getAllKeys Lists the keys. When missing,
+ *           the keys written through the cache are listed in an index item.
+ * @property {function(string[]): Promise<Array<string[]>>=} multiGet Reads several
+ *           items at once, as [key, value] pairs.
+ */
+
+/** @class */
+export default class AsyncStorageCache {
+  /**
+   * Constructs a new AsyncStorageCache object. It makes an asynchronous storage, such as
+   * React Native AsyncStorage, IndexedDB or a keychain, usable as the synchronous storage
+   * of the pool and users: items are read from memory, and written to memory and then to
+   * the asynchronous storage in the background. Call sync to hydrate the memory before
+   * using the pool, or use the asynchronous methods that do it for you.
+   * @param {AsyncStorage} asyncStorage The asynchronous storage.
+   * @param {object=} options Cache options.
+   * @param {string=} options.keyPrefix Only the items whose key starts with this prefix
+   *        are loaded by sync (default CognitoIdentityServiceProvider.).
+   * @param {string=} options.indexKey Key of the index item, used when the storage
+   *        cannot list its keys (default CognitoIdentityServiceProvider.StorageKeys).
+   */
+  constructor(asyncStorage, { keyPrefix, indexKey } = {}) {
+    this.asyncStorage = asyncStorage;
+    this.keyPrefix = keyPrefix == null ? 'CognitoIdentityServiceProvider.' : keyPrefix;
+    this.indexKey = indexKey || 'CognitoIdentityServiceProvider.StorageKeys';
+
+    this.dataMemory = {};
+    this.hydrated = false;
+    this.hydration = null;
+    // Keys changed before the memory is loaded, whose stored values are outdated
+    this.changedKeys = {};
+    this.pendingWrites = Promise.resolve();
+    this.writeError = null;
+  }
+
+  /**
+   * @returns {bool} if the memory was loaded from the asynchronous storage
+   */
+  isHydrated() {
+    return this.hydrated;
+  }
+
+  /**
+   * This is used to load the items of the asynchronous storage into memory. Concurrent
+   * calls share the same load, and later calls do nothing.
+   * @param {nodeCallback<object>} callback Called on error or once the memory is loaded.
+   * @returns {void}
+   */
+  sync(callback) {
+    if (this.hydration == null) {
+      this.hydration = this.listKeys()
+        .then(keys => this.readItems(keys.filter(key => key.indexOf(this.keyPrefix) === 0)))
+        .then(items => {
+          items.forEach(([key, value]) => {
+            // Items written during the load are more recent than the stored ones
+            if (value != null && !Object.prototype.hasOwnProperty.call(this.changedKeys, key)) {
+              this.dataMemory[key] = value;
+            }
+          });
+          this.hydrated = true;
+          this.changedKeys = null;
+          this.writeIndex();
+          return this.dataMemory;
+        }, err => {
+          this.hydration = null;
+          throw err;
+        });
+    }
+
+    // The callback runs outside of the promise, so that its exceptions are not swallowed
+    this.hydration.then(
+      data => setTimeout(() => callback(null, data), 0),
+      err => setTimeout(() => callback(err, null), 0));
+  }
+
+  /**
+   * This is used to wait for the writes made so far to reach the asynchronous storage
+   * @param {nodeCallback<string>} callback Called with the first failed write error, if any.
+   * @returns {void}
+   */
+  flush(callback) {
+    this.pendingWrites.then(() => {
+      const err = this.writeError;
+      this.writeError = null;
+      setTimeout(() => (err ? callback(err, null) : callback(null, 'SUCCESS')), 0);
+    });
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key - the key for the item
+   * @param {object} value - the value
+   * @returns {string} value that was set
+   */
+  setItem(key, value) {
+    const isNewKey = !Object.prototype.hasOwnProperty.call(this.dataMemory, key);
+    this.dataMemory[key] = `${value}`;
+    this.markChanged(key);
+    this.queueWrite(() => this.asyncStorage.setItem(key, `${value}`));
+    if (isNewKey) {
+      this.writeIndex();
+    }
+    return this.dataMemory[key];
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key - the key for the item
+   * @returns {string} the data item, from memory, or null if there is none
+   */
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.dataMemory, key) ?
+      this.dataMemory[key] : null;
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key - the key being set
+   * @returns {bool} if the item was in memory
+   */
+  removeItem(key) {
+    const existed = Object.prototype.hasOwnProperty.call(this.dataMemory, key);
+    delete this.dataMemory[key];
+    this.markChanged(key);
+    this.queueWrite(() => this.asyncStorage.removeItem(key));
+    this.writeIndex();
+    return existed;
+  }
+
+  /**
+   * This is used to clear the storage, removing the items of the key prefix
+   * @returns {object} the empty memory
+   */
+  clear() {
+    Object.keys(this.dataMemory).forEach(key => {
+      delete this.dataMemory[key];
+      this.markChanged(key);
+      this.queueWrite(() => this.asyncStorage.removeItem(key));
+    });
+    this.writeIndex();
+    return this.dataMemory;
+  }
+
+  /**
+   * Records that a key changed before the memory is loaded
+   * @param {string} key The changed key.
+   * @returns {void}
+   * @private
+   */
+  markChanged(key) {
+    if (this.changedKeys != null) {
+      this.changedKeys[key] = true;
+    }
+  }
+
+  /**
+   * Runs a write after the previous ones, keeping the first failure for flush
+   * @param {function(): Promise} write The write to run.
+   * @returns {void}
+   * @private
+   */
+  queueWrite(write) {
+    this.pendingWrites = this.pendingWrites
+      .then(write)
+      .then(null, err => {
+        this.writeError = this.writeError || err;
+      });
+  }
+
+  /**
+   * Saves the list of keys when the asynchronous storage cannot list them
+   * @returns {void}
+   * @private
+   */
+  writeIndex() {
+    // Until the memory is loaded, the index would miss the stored keys: it is written
+    // once they are known
+    if (typeof this.asyncStorage.getAllKeys === 'function' || this.changedKeys != null) {
+      return;
+    }
+
+    const index = JSON.stringify(Object.keys(this.dataMemory));
+    this.queueWrite(() => this.asyncStorage.setItem(this.indexKey, index));
+  }
+
+  /**
+   * @returns {Promise<string[]>} the keys of the asynchronous storage
+   * @private
+   */
+  listKeys() {
+    if (typeof this.asyncStorage.getAllKeys === 'function') {
+      return Promise.resolve(this.asyncStorage.getAllKeys());
+    }
+
+    return Promise.resolve(this.asyncStorage.getItem(this.indexKey))
+      .then(index => (index ? JSON.parse(index) : []));
+  }
+
+  /**
+   * @param {string[]} keys The keys to read.
+   * @returns {Promise<Array<string[]>>} the [key, value] pairs
+   * @private
+   */
+  readItems(keys) {
+    // An item that cannot be read is skipped, so that it does not prevent loading the others
+    const readEach = () => Promise.all(keys.map(key => Promise.resolve()
+      .then(() => this.asyncStorage.getItem(key))
+      .then(value => [key, value], () => [key, null])));
+
+    if (typeof this.asyncStorage.multiGet === 'function') {
+      return Promise.resolve()
+        .then(() => this.asyncStorage.multiGet(keys))
+        .then(null, readEach);
+    }
+    return readEach();
+  }
+}
+
+PromiseHelper.enablePromises(AsyncStorageCache.prototype, {
+  nodeCallback: {
+    sync: 0,
+    flush: 0,
+  },
+});
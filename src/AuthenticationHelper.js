@@ -18,6 +18,8 @@
 import { util } from 'aws-sdk/global';
 
 import BigInteger from './BigInteger';
+import CryptoHelper from './CryptoHelper';
+import NativeBigInteger from './NativeBigInteger';
 
 const initN = 'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD1'
   + '29024E088A67CC74020BBEA63B139B22514A08798E3404DD'
@@ -43,20 +45,71 @@ export default class AuthenticationHelper {
   /**
    * Constructs a new AuthenticationHelper object
    * @param {string} PoolName Cognito user pool name.
+   * @param {object=} options SRP options.
+   * @param {string|function=} options.mathBackend Implementation of the SRP math,
+   *        see getBigInteger (default 'auto').
+   * @param {SrpWorker=} options.worker Runs the exponentiations of the async methods
+   *        with the native BigInt backend. Without it they run on the main thread.
    */
-  constructor(PoolName) {
-    this.N = new BigInteger(initN, 16);
-    this.g = new BigInteger('2', 16);
-    this.k = new BigInteger(this.hexHash(`00${this.N.toString(16)}0${this.g.toString(16)}`), 16);
+  constructor(PoolName, { mathBackend, worker } = {}) {
+    this.BigInteger = AuthenticationHelper.getBigInteger(mathBackend);
+    this.worker = worker && this.BigInteger === NativeBigInteger ? worker : null;
+
+    this.N = new this.BigInteger(initN, 16);
+    this.g = new this.BigInteger('2', 16);
+    this.k = new this.BigInteger(
+      this.hexHash(`00${this.N.toString(16)}0${this.g.toString(16)}`), 16);
 
     this.smallAValue = this.generateRandomSmallA();
-    this.largeAValue = this.calculateA(this.smallAValue);
+    this.largeAValue = null;
+    this.largeAValueCallbacks = null;
 
     this.infoBits = new util.Buffer('Caldera Derived Key', 'utf8');
 
     this.poolName = PoolName;
   }
 
+  /**
+   * Picks the implementation of the SRP math
+   * @param {string|function=} backend 'native' for the native BigInt, 'js' for
+   *        BigInteger.js, 'auto' (default) for the native BigInt when the platform
+   *        supports it and BigInteger.js otherwise, or a class with the BigInteger.js API.
+   * @returns {function} The BigInteger class.
+   * @throws {Error} if the backend is unknown or not supported by the platform.
+   */
+  static getBigInteger(backend) {
+    if (typeof backend === 'function') {
+      return backend;
+    }
+    if (backend == null || backend === 'auto') {
+      return NativeBigInteger.isSupported() ? NativeBigInteger : BigInteger;
+    }
+    if (backend === 'js') {
+      return BigInteger;
+    }
+    if (backend === 'native') {
+      if (!NativeBigInteger.isSupported()) {
+        throw new Error('BigInt is not supported on this platform.');
+      }
+      return NativeBigInteger;
+    }
+    throw new Error(`Unknown SRP math backend ${backend}.`);
+  }
+
+  /**
+   * Converts a hex string, or a number of another math backend, to the math backend
+   * of the helper
+   * @param {BigInteger|String} value Number or hex string.
+   * @returns {BigInteger} The number.
+   * @private
+   */
+  toBigInteger(value) {
+    if (value instanceof this.BigInteger) {
+      return value;
+    }
+    return new this.BigInteger(typeof value === 'string' ? value : value.toString(16), 16);
+  }
+
   /**
    * @returns {BigInteger} small A, a random number
    */
@@ -65,12 +118,48 @@ export default class AuthenticationHelper {
   }
 
   /**
+   * Large A is computed on first use, so that flows without SRP don't pay for it.
    * @returns {BigInteger} large A, a value generated from small A
    */
   getLargeAValue() {
+    if (this.largeAValue == null) {
+      this.largeAValue = this.calculateA(this.smallAValue);
+    }
     return this.largeAValue;
   }
 
+  /**
+   * Same as getLargeAValue, without blocking the main thread. Calling it ahead of time,
+   * for instance while the user types their password, gets A ready for the sign-in.
+   * @param {nodeCallback<BigInteger>} callback Called with large A.
+   * @returns {void}
+   */
+  getLargeAValueAsync(callback) {
+    if (this.largeAValue != null) {
+      callback(null, this.largeAValue);
+      return;
+    }
+    if (this.largeAValueCallbacks != null) {
+      this.largeAValueCallbacks.push(callback);
+      return;
+    }
+
+    this.largeAValueCallbacks = [callback];
+    this.modPowAsync(this.g, this.smallAValue, (err, A) => {
+      let error = err;
+      if (!error && A.mod(this.N).equals(this.BigInteger.ZERO)) {
+        error = new Error('Illegal paramater. A mod N cannot be 0.');
+      }
+      if (!error) {
+        this.largeAValue = A;
+      }
+
+      const callbacks = this.largeAValueCallbacks;
+      this.largeAValueCallbacks = null;
+      callbacks.forEach(largeAValueCallback => largeAValueCallback(error, error ? null : A));
+    });
+  }
+
   /**
    * helper function to generate a random big integer
    * @returns {BigInteger} a random value.
@@ -79,7 +168,7 @@ export default class AuthenticationHelper {
   generateRandomSmallA() {
     const hexRandom = util.crypto.lib.randomBytes(128).toString('hex');
 
-    const randomBigInt = new BigInteger(hexRandom, 16);
+    const randomBigInt = new this.BigInteger(hexRandom, 16);
     const smallABigInt = randomBigInt.mod(this.N);
 
     return smallABigInt;
@@ -127,10 +216,10 @@ export default class AuthenticationHelper {
     const hashedString = this.hash(combinedString);
 
     const hexRandom = util.crypto.lib.randomBytes(16).toString('hex');
-    this.SaltToHashDevices = this.padHex(new BigInteger(hexRandom, 16));
+    this.SaltToHashDevices = this.padHex(new this.BigInteger(hexRandom, 16));
 
     const verifierDevicesNotPadded = this.g.modPow(
-      new BigInteger(this.hexHash(this.SaltToHashDevices + hashedString), 16),
+      new this.BigInteger(this.hexHash(this.SaltToHashDevices + hashedString), 16),
       this.N);
 
     this.verifierDevices = this.padHex(verifierDevicesNotPadded);
@@ -146,7 +235,7 @@ export default class AuthenticationHelper {
   calculateA(a) {
     const A = this.g.modPow(a, this.N);
 
-    if (A.mod(this.N).equals(BigInteger.ZERO)) {
+    if (A.mod(this.N).equals(this.BigInteger.ZERO)) {
       throw new Error('Illegal paramater. A mod N cannot be 0.');
     }
     return A;
@@ -161,7 +250,7 @@ export default class AuthenticationHelper {
    */
   calculateU(A, B) {
     this.UHexHash = this.hexHash(this.padHex(A) + this.padHex(B));
-    const finalU = new BigInteger(this.UHexHash, 16);
+    const finalU = new this.BigInteger(this.UHexHash, 16);
 
     return finalU;
   }
@@ -173,7 +262,7 @@ export default class AuthenticationHelper {
    * @private
    */
   hash(buf) {
-    const hashHex = util.crypto.sha256(buf, 'hex');
+    const hashHex = CryptoHelper.sha256(buf);
     return (new Array(64 - hashHex.length).join('0')) + hashHex;
   }
 
@@ -195,38 +284,33 @@ export default class AuthenticationHelper {
    * @private
    */
   computehkdf(ikm, salt) {
-    const prk = util.crypto.hmac(salt, ikm, 'buffer', 'sha256');
-    const infoBitsUpdate = util.buffer.concat([
-      this.infoBits,
-      new util.Buffer(String.fromCharCode(1), 'utf8'),
-    ]);
-    const hmac = util.crypto.hmac(prk, infoBitsUpdate, 'buffer', 'sha256');
-    return hmac.slice(0, 16);
+    return CryptoHelper.hkdf(ikm, salt, this.infoBits, 16);
   }
 
   /**
    * Calculates the final hkdf based on computed S value, and computed U value and the key
    * @param {String} username Username.
    * @param {String} password Password.
-   * @param {BigInteger} serverBValue Server B value.
-   * @param {BigInteger} salt Generated salt.
+   * @param {BigInteger|String} B Server B value, or its hex string.
+   * @param {BigInteger|String} salt Generated salt, or its hex string.
    * @returns {Buffer} Computed HKDF value.
    */
-  getPasswordAuthenticationKey(username, password, serverBValue, salt) {
-    if (serverBValue.mod(this.N).equals(BigInteger.ZERO)) {
+  getPasswordAuthenticationKey(username, password, B, salt) {
+    const serverBValue = this.toBigInteger(B);
+    if (serverBValue.mod(this.N).equals(this.BigInteger.ZERO)) {
       throw new Error('B cannot be zero.');
     }
 
-    this.UValue = this.calculateU(this.largeAValue, serverBValue);
+    this.UValue = this.calculateU(this.getLargeAValue(), serverBValue);
 
-    if (this.UValue.equals(BigInteger.ZERO)) {
+    if (this.UValue.equals(this.BigInteger.ZERO)) {
       throw new Error('U cannot be zero.');
     }
 
     const usernamePassword = `${this.poolName}${username}:${password}`;
     const usernamePasswordHash = this.hash(usernamePassword);
 
-    const xValue = new BigInteger(this.hexHash(this.padHex(salt) + usernamePasswordHash), 16);
+    const xValue = new this.BigInteger(this.hexHash(this.padHex(salt) + usernamePasswordHash), 16);
 
     const gModPowXN = this.g.modPow(xValue, this.N);
     const intValue2 = serverBValue.subtract(this.k.multiply(gModPowXN));
@@ -242,6 +326,91 @@ export default class AuthenticationHelper {
     return hkdf;
   }
 
+  /**
+   * Same as getPasswordAuthenticationKey, without blocking the main thread
+   * @param {String} username Username.
+   * @param {String} password Password.
+   * @param {BigInteger|String} B Server B value, or its hex string.
+   * @param {BigInteger|String} salt Generated salt, or its hex string.
+   * @param {nodeCallback<Buffer>} callback Called with the computed HKDF value.
+   * @returns {void}
+   */
+  getPasswordAuthenticationKeyAsync(username, password, B, salt, callback) {
+    this.getLargeAValueAsync((errA, largeAValue) => {
+      if (errA) {
+        return callback(errA, null);
+      }
+
+      let serverBValue;
+      let xValue;
+      try {
+        serverBValue = this.toBigInteger(B);
+        if (serverBValue.mod(this.N).equals(this.BigInteger.ZERO)) {
+          throw new Error('B cannot be zero.');
+        }
+
+        this.UValue = this.calculateU(largeAValue, serverBValue);
+        if (this.UValue.equals(this.BigInteger.ZERO)) {
+          throw new Error('U cannot be zero.');
+        }
+
+        const usernamePasswordHash = this.hash(`${this.poolName}${username}:${password}`);
+        xValue = new this.BigInteger(this.hexHash(this.padHex(salt) + usernamePasswordHash), 16);
+      } catch (err) {
+        return callback(err, null);
+      }
+
+      return this.modPowAsync(this.g, xValue, (errX, gModPowXN) => {
+        if (errX) {
+          return callback(errX, null);
+        }
+
+        const intValue2 = serverBValue.subtract(this.k.multiply(gModPowXN)).mod(this.N);
+        return this.modPowAsync(
+          intValue2, this.smallAValue.add(this.UValue.multiply(xValue)), (errS, sValue) => {
+            if (errS) {
+              return callback(errS, null);
+            }
+
+            return CryptoHelper.hkdfAsync(
+              new util.Buffer(this.padHex(sValue), 'hex'),
+              new util.Buffer(this.padHex(this.UValue.toString(16)), 'hex'),
+              this.infoBits,
+              16,
+              callback);
+          });
+      });
+    });
+  }
+
+  /**
+   * Computes base to the power exponent modulo N, in the worker when there is one
+   * @param {BigInteger} base The base, not negative.
+   * @param {BigInteger} exponent The exponent.
+   * @param {nodeCallback<BigInteger>} callback Called with the result.
+   * @returns {void}
+   * @private
+   */
+  modPowAsync(base, exponent, callback) {
+    if (this.worker != null) {
+      this.worker.modPow(
+        base.toString(16), exponent.toString(16), this.N.toString(16), (err, result) =>
+          callback(err, err ? null : new this.BigInteger(result, 16)));
+      return;
+    }
+
+    setTimeout(() => {
+      let result;
+      try {
+        result = base.modPow(exponent, this.N);
+      } catch (err) {
+        callback(err, null);
+        return;
+      }
+      callback(null, result);
+    }, 0);
+  }
+
   /**
   * Return constant newPasswordRequiredChallengeUserAttributePrefix
   * @return {newPasswordRequiredChallengeUserAttributePrefix} constant prefix value
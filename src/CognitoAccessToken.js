@@ -15,32 +15,15 @@
  * limitations under the License.
  */
 
-import { util } from 'aws-sdk/global';
+import CognitoJwtToken from './CognitoJwtToken';
 
 /** @class */
-export default class CognitoAccessToken {
+export default class CognitoAccessToken extends CognitoJwtToken {
   /**
    * Constructs a new CognitoAccessToken object
    * @param {string=} AccessToken The JWT access token.
    */
   constructor({ AccessToken } = {}) {
-    // Assign object
-    this.jwtToken = AccessToken || '';
-  }
-
-  /**
-   * @returns {string} the record's token.
-   */
-  getJwtToken() {
-    return this.jwtToken;
-  }
-
-  /**
-   * @returns {int} the token's expiration (exp member).
-   */
-  getExpiration() {
-    const payload = this.jwtToken.split('.')[1];
-    const expiration = JSON.parse(util.base64.decode(payload).toString('utf8'));
-    return expiration.exp;
+    super(AccessToken);
   }
 }
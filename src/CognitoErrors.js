@@ -0,0 +1,162 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Base class of the errors reported by this library. Errors are checked with instanceof,
+ * or with their code, which is stable and can be mapped to localized messages.
+ *
+ * Transpiled classes cannot extend Error (the instances would be plain errors), so the
+ * base class extends Error through its prototype instead.
+ * @class
+ */
+export class CognitoError {
+  /**
+   * Constructs a new CognitoError object
+   * @param {string} message Error description.
+   * @param {string=} code Error code, the class name without the Error suffix by default.
+   */
+  constructor(message, code) {
+    this.name = 'CognitoError';
+    this.code = code || 'Cognito';
+    this.message = message;
+    this.stack = new Error(message).stack;
+  }
+
+  /**
+   * @returns {string} the error name and message
+   */
+  toString() {
+    return `${this.name}: ${this.message}`;
+  }
+}
+Object.setPrototypeOf(CognitoError.prototype, Error.prototype);
+
+/** The operation requires a signed in user with a valid session. */
+export class NotAuthenticatedError extends CognitoError {
+  /**
+   * @param {string=} message Error description.
+   */
+  constructor(message) {
+    super(message || 'User is not authenticated', 'NotAuthenticated');
+    this.name = 'NotAuthenticatedError';
+  }
+}
+
+/**
+ * The session cannot be refreshed anymore, the user must sign in again. When the service
+ * reported it, the error keeps the code of the service, such as NotAuthorizedException.
+ */
+export class SessionExpiredError extends CognitoError {
+  /**
+   * @param {string} message Error description.
+   * @param {Error=} originalError The error of the service, if it reported the expiration.
+   */
+  constructor(message, originalError) {
+    super(message, originalError && originalError.code ? originalError.code : 'SessionExpired');
+    this.name = 'SessionExpiredError';
+    this.originalError = originalError;
+  }
+}
+
+/** The sign-in requires answering a challenge the caller did not handle. */
+export class ChallengeRequiredError extends CognitoError {
+  /**
+   * @param {string} message Error description.
+   * @param {string} challengeName The challenge, such as SMS_MFA or NEW_PASSWORD_REQUIRED.
+   * @param {object=} challengeParameters The parameters of the challenge.
+   */
+  constructor(message, challengeName, challengeParameters) {
+    super(message, 'ChallengeRequired');
+    this.name = 'ChallengeRequiredError';
+    this.challengeName = challengeName;
+    this.challengeParameters = challengeParameters || {};
+  }
+}
+
+/**
+ * The device is not remembered on this client, or is unknown to the user pool. When the
+ * service reported it, the error keeps the code of the service, ResourceNotFoundException.
+ */
+export class DeviceNotFoundError extends CognitoError {
+  /**
+   * @param {string} message Error description.
+   * @param {string=} deviceKey The device key.
+   * @param {Error=} originalError The error of the service, if it reported the device.
+   */
+  constructor(message, deviceKey, originalError) {
+    super(message, originalError && originalError.code ? originalError.code : 'DeviceNotFound');
+    this.name = 'DeviceNotFoundError';
+    this.deviceKey = deviceKey;
+    this.originalError = originalError;
+  }
+}
+
+/** The request was cancelled through its abort signal. */
+export class RequestAbortedError extends CognitoError {
+  /**
+   * @param {string=} message Error description.
+   */
+  constructor(message) {
+    super(message || 'Request aborted', 'RequestAborted');
+    this.name = 'RequestAbortedError';
+  }
+}
+
+/**
+ * An error reported by the service, keeping its code, such as UserNotFoundException
+ * or NotAuthorizedException.
+ */
+export class CognitoServiceError extends CognitoError {
+  /**
+   * @param {string} message Error description.
+   * @param {string} code The code of the service error.
+   * @param {object=} details Details of the failed request.
+   * @param {int=} details.statusCode The HTTP status code.
+   * @param {string=} details.requestId The id of the request.
+   * @param {bool=} details.retryable If retrying the request may succeed.
+   * @param {Error=} details.originalError The error as reported by the client.
+   */
+  constructor(message, code, { statusCode, requestId, retryable, originalError } = {}) {
+    super(message, code);
+    this.name = 'CognitoServiceError';
+    this.statusCode = statusCode;
+    this.requestId = requestId;
+    this.retryable = retryable === true;
+    this.originalError = originalError;
+  }
+
+  /**
+   * Wraps an error of the service client. Unknown devices are reported as
+   * DeviceNotFoundError.
+   * @param {Error} err The error.
+   * @returns {CognitoError} the error, wrapped unless it already is a CognitoError
+   */
+  static wrap(err) {
+    if (err instanceof CognitoError) {
+      return err;
+    }
+    if (err.code === 'ResourceNotFoundException' && /device/i.test(err.message)) {
+      return new DeviceNotFoundError(err.message, undefined, err);
+    }
+    return new CognitoServiceError(err.message, err.code || 'UnknownError', {
+      statusCode: err.statusCode,
+      requestId: err.requestId,
+      retryable: err.retryable,
+      originalError: err,
+    });
+  }
+}
@@ -0,0 +1,166 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { CognitoIdentityCredentials, util } from 'aws-sdk/global';
+
+import EventEmitter from './EventEmitter';
+
+/**
+ * Provides AWS credentials of a Cognito identity pool for a user pool user, using
+ * the ID token of the user as the identity pool login.
+ *
+ * Events:
+ * - credentialsRefreshed (credentials): new credentials were obtained after the
+ *   tokens of the user were refreshed.
+ * - refreshFailed (err): the credentials could not be refreshed.
+ * - credentialsCleared (): the user signed out, in this tab or in another one. The
+ *   cached identity id of the user is removed and the credentials expired.
+ * @class
+ */
+export default class CognitoIdentityPoolBridge extends EventEmitter {
+  /**
+   * Constructs a new CognitoIdentityPoolBridge object
+   * @param {CognitoUser} user The signed in user.
+   * @param {object} options Bridge options.
+   * @param {string} options.IdentityPoolId The identity pool id.
+   * @param {object=} options.clientConfig Configuration of the Cognito Identity client.
+   *        The region defaults to the region of the identity pool.
+   */
+  constructor(user, { IdentityPoolId, clientConfig } = {}) {
+    super();
+
+    if (!IdentityPoolId) {
+      throw new Error('IdentityPoolId is required.');
+    }
+
+    this.user = user;
+    this.loginKey = CognitoIdentityPoolBridge.getLoginKey(user.pool.getUserPoolId());
+
+    const config = util.copy(clientConfig || {});
+    if (!config.region) {
+      config.region = IdentityPoolId.split(':')[0];
+    }
+
+    const logins = {};
+    const idToken = this.getCachedIdToken();
+    if (idToken) {
+      logins[this.loginKey] = idToken;
+    }
+    this.credentials = new CognitoIdentityCredentials({
+      IdentityPoolId,
+      Logins: logins,
+      // Keeps an identity id cached per user
+      LoginId: user.getUsername(),
+    }, config);
+    // The SDK refreshes expired credentials through this method
+    this.credentials.refresh = callback => this.refresh(callback);
+
+    this.stopListeningToAuthState = user.pool.onAuthStateChange(change => {
+      if (change.user.getUsername() === user.getUsername()) {
+        this.onAuthStateChange(change.event);
+      }
+    });
+  }
+
+  /**
+   * @param {string} userPoolId The user pool id.
+   * @returns {string} the name of the user pool as an identity pool login provider
+   */
+  static getLoginKey(userPoolId) {
+    return `cognito-idp.${userPoolId.split('_')[0]}.amazonaws.com/${userPoolId}`;
+  }
+
+  /**
+   * @returns {AWS.CognitoIdentityCredentials} the credentials, to use as
+   *          AWS.config.credentials or as the credentials of a service client
+   */
+  getCredentials() {
+    return this.credentials;
+  }
+
+  /**
+   * This is used to get new credentials, refreshing the session of the user first
+   * when its tokens expired
+   * @param {nodeCallback<AWS.CognitoIdentityCredentials>} callback Called on error or
+   *        with the refreshed credentials.
+   * @returns {void}
+   */
+  refresh(callback) {
+    this.user.getSession((err, session) => {
+      if (err) {
+        return callback(err, null);
+      }
+
+      // Another object of the user, or another tab, may have refreshed the tokens since
+      this.credentials.params.Logins[this.loginKey] =
+        this.getCachedIdToken() || session.getIdToken().getJwtToken();
+      return CognitoIdentityCredentials.prototype.refresh.call(this.credentials, refreshErr => (
+        refreshErr ? callback(refreshErr, null) : callback(null, this.credentials)));
+    });
+  }
+
+  /**
+   * This is used to stop following the authentication state of the user
+   * @returns {void}
+   */
+  stop() {
+    if (this.stopListeningToAuthState) {
+      this.stopListeningToAuthState();
+      this.stopListeningToAuthState = null;
+    }
+  }
+
+  /**
+   * @returns {string} the ID token of the user in the storage
+   * @private
+   */
+  getCachedIdToken() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.user.pool.getClientId()}`;
+    return this.user.storage.getItem(`${keyPrefix}.${this.user.getUsername()}.idToken`);
+  }
+
+  /**
+   * Refreshes the credentials when the tokens of the user change, and clears them
+   * when the user signs out
+   * @param {string} event The authentication event of the user.
+   * @returns {void}
+   * @private
+   */
+  onAuthStateChange(event) {
+    if (event === 'signOut') {
+      this.credentials.clearCachedId();
+      delete this.credentials.params.Logins[this.loginKey];
+      this.credentials.expired = true;
+      this.credentials.accessKeyId = null;
+      this.credentials.secretAccessKey = null;
+      this.credentials.sessionToken = null;
+      this.emit('credentialsCleared');
+      return;
+    }
+
+    // Only refresh credentials already obtained, the next get obtains the others
+    if ((event === 'tokenRefresh' || event === 'signIn') && this.credentials.accessKeyId) {
+      this.refresh((err, credentials) => {
+        if (err) {
+          this.emit('refreshFailed', err);
+        } else {
+          this.emit('credentialsRefreshed', credentials);
+        }
+      });
+    }
+  }
+}
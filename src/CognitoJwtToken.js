@@ -0,0 +1,119 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { util } from 'aws-sdk/global';
+
+/** @class */
+export default class CognitoJwtToken {
+  /**
+   * Constructs a new CognitoJwtToken object
+   * @param {string=} token The JWT token.
+   */
+  constructor(token) {
+    this.jwtToken = token || '';
+    this.decodedParts = null;
+  }
+
+  /**
+   * @returns {string} the record's token.
+   */
+  getJwtToken() {
+    return this.jwtToken;
+  }
+
+  /**
+   * @returns {object} the token's decoded header, parsed once
+   */
+  decodeHeader() {
+    return this.decodePart(0);
+  }
+
+  /**
+   * @returns {object} the token's decoded payload, parsed once
+   */
+  decodePayload() {
+    return this.decodePart(1);
+  }
+
+  /**
+   * @param {string} name The claim name.
+   * @returns {*} the value of a payload claim, undefined if it is missing.
+   */
+  getClaim(name) {
+    return this.decodePayload()[name];
+  }
+
+  /**
+   * @returns {int} the token's expiration (exp member).
+   */
+  getExpiration() {
+    return this.getClaim('exp');
+  }
+
+  /**
+   * @returns {int} the token's issue time (iat member).
+   */
+  getIssuedAt() {
+    return this.getClaim('iat');
+  }
+
+  /**
+   * @returns {int} the time the user authenticated (auth_time member).
+   */
+  getAuthTime() {
+    return this.getClaim('auth_time');
+  }
+
+  /**
+   * @returns {string} the user's unique identifier (sub member).
+   */
+  getSub() {
+    return this.getClaim('sub');
+  }
+
+  /**
+   * @returns {string[]} the user's groups (cognito:groups member), empty if there is none.
+   */
+  getGroups() {
+    return this.getClaim('cognito:groups') || [];
+  }
+
+  /**
+   * @returns {string[]} the token's OAuth scopes (scope member), empty if there is none.
+   */
+  getScopes() {
+    const scope = this.getClaim('scope');
+    return scope ? scope.split(' ') : [];
+  }
+
+  /**
+   * Decodes a part of the token, or returns the result of its previous decoding
+   * @param {int} index The part index, 0 for the header and 1 for the payload.
+   * @returns {object} the decoded part.
+   * @private
+   */
+  decodePart(index) {
+    if (this.decodedParts == null || this.decodedParts.jwtToken !== this.jwtToken) {
+      this.decodedParts = { jwtToken: this.jwtToken };
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.decodedParts, index)) {
+      const part = this.jwtToken.split('.')[index];
+      this.decodedParts[index] = JSON.parse(util.base64.decode(part).toString('utf8'));
+    }
+    return this.decodedParts[index];
+  }
+}
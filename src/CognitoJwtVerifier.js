@@ -0,0 +1,319 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { util } from 'aws-sdk/global';
+
+import BigInteger from './BigInteger';
+import HttpClient from './HttpClient';
+import {
+  JwtParseError,
+  JwtInvalidSignatureError,
+  JwtExpiredError,
+  JwtInvalidClaimError,
+  JwksError,
+} from './JwtErrors';
+import PromiseHelper from './PromiseHelper';
+
+/**
+ * DER encoding of the SHA-256 DigestInfo prefix of PKCS #1 v1.5 signatures.
+ */
+const sha256DigestInfo = '3031300d060960864801650304020105000420';
+
+/**
+ * Minimum time between two loads of the JWKS caused by unknown key ids, in milliseconds.
+ */
+const jwksReloadInterval = 60000;
+
+/** @class */
+export default class CognitoJwtVerifier {
+  /**
+   * Constructs a new CognitoJwtVerifier object, verifying the ID and access tokens of
+   * a user pool without calling the service.
+   * @param {object} data Creation options.
+   * @param {string} data.UserPoolId Cognito user pool id.
+   * @param {string|string[]=} data.ClientId App client ids accepted in the aud (ID token)
+   *        and client_id (access token) claims. Any client is accepted when missing.
+   * @param {string=} data.tokenUse Accepted token_use claim: id or access. Both are
+   *        accepted when missing.
+   * @param {int=} data.clockSkew Seconds of clock difference tolerated with the
+   *        service when checking exp and iat (default 60).
+   * @param {object=} data.jwks The JWKS document of the user pool. It is fetched from
+   *        the user pool when missing, or when it has no key matching a token.
+   * @param {function(string, nodeCallback<object>)=} data.fetchJwks Fetches a JWKS
+   *        document from its URL, using fetch or XMLHttpRequest by default.
+   */
+  constructor(data) {
+    const { UserPoolId, ClientId, tokenUse, clockSkew, jwks, fetchJwks } = data || {};
+    if (!UserPoolId || !/^[\w-]+_.+$/.test(UserPoolId)) {
+      throw new Error('Invalid UserPoolId format.');
+    }
+    if (tokenUse != null && tokenUse !== 'id' && tokenUse !== 'access') {
+      throw new Error('The tokenUse option must be id or access.');
+    }
+
+    const region = UserPoolId.split('_')[0];
+    this.issuer = `https://cognito-idp.${region}.amazonaws.com/${UserPoolId}`;
+    this.jwksUri = `${this.issuer}/.well-known/jwks.json`;
+    this.clientIds = ClientId == null ? null : [].concat(ClientId);
+    this.tokenUse = tokenUse;
+    this.clockSkew = clockSkew == null ? 60 : clockSkew;
+    this.fetchJwks = fetchJwks || ((url, callback) => HttpClient.requestJson({ url }, callback));
+
+    this.keys = {};
+    this.jwksLoadedAt = null;
+    this.pendingJwksCallbacks = null;
+    if (jwks) {
+      this.cacheJwks(jwks);
+    }
+  }
+
+  /**
+   * @returns {string} the iss claim of the tokens of the user pool
+   */
+  getIssuer() {
+    return this.issuer;
+  }
+
+  /**
+   * This is used to supply the JWKS document of the user pool, replacing the cached keys
+   * @param {object} jwks The JWKS document, with its RSA keys in a keys array.
+   * @returns {void}
+   */
+  cacheJwks(jwks) {
+    if (!jwks || !Array.isArray(jwks.keys)) {
+      throw new JwksError('The JWKS document has no keys array.');
+    }
+
+    this.keys = {};
+    jwks.keys.forEach(jwk => {
+      if (jwk.kty === 'RSA' && jwk.kid && jwk.n && jwk.e && (!jwk.use || jwk.use === 'sig')) {
+        this.keys[jwk.kid] = jwk;
+      }
+    });
+  }
+
+  /**
+   * This is used to verify a token with the cached JWKS, without loading it
+   * @param {string|CognitoIdToken|CognitoAccessToken} token The token to verify.
+   * @returns {object} the payload of the verified token
+   * @throws {JwtVerificationError} if the token is invalid, or its key is not cached.
+   */
+  verifySync(token) {
+    const jwt = CognitoJwtVerifier.decode(token);
+    const jwk = this.keys[jwt.header.kid];
+    if (!jwk) {
+      throw new JwksError(`No key with id ${jwt.header.kid} in the JWKS.`, jwt.header.kid);
+    }
+
+    CognitoJwtVerifier.verifySignature(jwt, jwk);
+    this.verifyClaims(jwt.payload);
+    return jwt.payload;
+  }
+
+  /**
+   * This is used to verify a token, loading the JWKS of the user pool when needed
+   * @param {string|CognitoIdToken|CognitoAccessToken} token The token to verify.
+   * @param {nodeCallback<object>} callback Called on error or with the token payload.
+   * @returns {void}
+   */
+  verify(token, callback) {
+    let kid;
+    try {
+      kid = CognitoJwtVerifier.decode(token).header.kid;
+    } catch (err) {
+      return callback(err, null);
+    }
+
+    const canReload = this.jwksLoadedAt == null ||
+      Date.now() - this.jwksLoadedAt >= jwksReloadInterval;
+    if (this.keys[kid] || !canReload) {
+      return this.verifyCallback(token, callback);
+    }
+
+    return this.loadJwks(err => (err ? callback(err, null) : this.verifyCallback(token, callback)));
+  }
+
+  /**
+   * @param {string|CognitoIdToken|CognitoAccessToken} token The token to verify.
+   * @param {nodeCallback<object>} callback Called on error or with the token payload.
+   * @returns {void}
+   * @private
+   */
+  verifyCallback(token, callback) {
+    let payload;
+    try {
+      payload = this.verifySync(token);
+    } catch (err) {
+      return callback(err, null);
+    }
+    return callback(null, payload);
+  }
+
+  /**
+   * This is used to fetch the JWKS of the user pool. Concurrent calls share one request.
+   * @param {nodeCallback<object>} callback Called on error or with the JWKS document.
+   * @returns {void}
+   */
+  loadJwks(callback) {
+    if (this.pendingJwksCallbacks) {
+      this.pendingJwksCallbacks.push(callback);
+      return;
+    }
+
+    this.pendingJwksCallbacks = [callback];
+    this.fetchJwks(this.jwksUri, (err, jwks) => {
+      let error = err ? new JwksError(`Cannot load the JWKS: ${err.message || err}`) : null;
+      if (!error) {
+        try {
+          this.cacheJwks(jwks);
+          this.jwksLoadedAt = Date.now();
+        } catch (cacheErr) {
+          error = cacheErr;
+        }
+      }
+
+      const callbacks = this.pendingJwksCallbacks;
+      this.pendingJwksCallbacks = null;
+      callbacks.forEach(pendingCallback =>
+        (error ? pendingCallback(error, null) : pendingCallback(null, jwks)));
+    });
+  }
+
+  /**
+   * Checks the standard claims of a token payload
+   * @param {object} payload The token payload.
+   * @returns {void}
+   * @throws {JwtVerificationError} if a claim is invalid.
+   * @private
+   */
+  verifyClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (payload.iss !== this.issuer) {
+      throw new JwtInvalidClaimError(`Issuer ${payload.iss} is not ${this.issuer}.`,
+        'iss', payload.iss);
+    }
+    if (payload.token_use !== 'id' && payload.token_use !== 'access') {
+      throw new JwtInvalidClaimError(`Unknown token_use ${payload.token_use}.`,
+        'token_use', payload.token_use);
+    }
+    if (this.tokenUse && payload.token_use !== this.tokenUse) {
+      throw new JwtInvalidClaimError(`Expected an ${this.tokenUse} token, got an ${
+        payload.token_use} token.`, 'token_use', payload.token_use);
+    }
+
+    const audienceClaim = payload.token_use === 'id' ? 'aud' : 'client_id';
+    if (this.clientIds && this.clientIds.indexOf(payload[audienceClaim]) === -1) {
+      throw new JwtInvalidClaimError(
+        `Client ${payload[audienceClaim]} is not allowed.`, audienceClaim, payload[audienceClaim]);
+    }
+
+    if (typeof payload.exp !== 'number') {
+      throw new JwtInvalidClaimError('Missing exp claim.', 'exp', payload.exp);
+    }
+    if (payload.exp + this.clockSkew <= now) {
+      throw new JwtExpiredError(
+        `Token expired at ${new Date(payload.exp * 1000).toISOString()}.`, payload.exp);
+    }
+    if (typeof payload.iat === 'number' && payload.iat - this.clockSkew > now) {
+      throw new JwtInvalidClaimError('Token issued in the future.', 'iat', payload.iat);
+    }
+  }
+
+  /**
+   * Splits and decodes a JWT
+   * @param {string|CognitoIdToken|CognitoAccessToken} token The token.
+   * @returns {object} the header and payload objects, the signed input and the signature.
+   * @throws {JwtParseError} if the token is not a JWT.
+   * @private
+   */
+  static decode(token) {
+    const jwtToken = token && typeof token.getJwtToken === 'function' ?
+      token.getJwtToken() : token;
+    const parts = typeof jwtToken === 'string' ? jwtToken.split('.') : [];
+    if (parts.length !== 3) {
+      throw new JwtParseError('The token is not a JWT.');
+    }
+
+    try {
+      return {
+        header: JSON.parse(CognitoJwtVerifier.base64UrlDecode(parts[0]).toString('utf8')),
+        payload: JSON.parse(CognitoJwtVerifier.base64UrlDecode(parts[1]).toString('utf8')),
+        signedInput: `${parts[0]}.${parts[1]}`,
+        signature: CognitoJwtVerifier.base64UrlDecode(parts[2]),
+      };
+    } catch (err) {
+      throw new JwtParseError('The token header or payload is not valid JSON.');
+    }
+  }
+
+  /**
+   * Checks an RS256 (RSASSA-PKCS1-v1_5 with SHA-256) signature
+   * @param {object} jwt The decoded token.
+   * @param {object} jwk The RSA public key.
+   * @returns {void}
+   * @throws {JwtInvalidSignatureError} if the signature is invalid.
+   * @private
+   */
+  static verifySignature(jwt, jwk) {
+    if (jwt.header.alg !== 'RS256' || (jwk.alg && jwk.alg !== 'RS256')) {
+      throw new JwtInvalidSignatureError(`Unsupported algorithm ${jwt.header.alg}.`);
+    }
+
+    const modulus = new BigInteger(CognitoJwtVerifier.base64UrlDecode(jwk.n).toString('hex'), 16);
+    const exponent = new BigInteger(CognitoJwtVerifier.base64UrlDecode(jwk.e).toString('hex'), 16);
+    const signature = new BigInteger(jwt.signature.toString('hex'), 16);
+    if (signature.compareTo(modulus) >= 0) {
+      throw new JwtInvalidSignatureError('Invalid signature.');
+    }
+
+    const modulusLength = Math.ceil(modulus.bitLength() / 8);
+    let encoded = signature.modPow(exponent, modulus).toString(16);
+    while (encoded.length < modulusLength * 2) {
+      encoded = `0${encoded}`;
+    }
+
+    const digestInfo = `${sha256DigestInfo}${util.crypto.sha256(jwt.signedInput, 'hex')}`;
+    let padding = '';
+    while (padding.length < (modulusLength * 2) - digestInfo.length - 6) {
+      padding += 'ff';
+    }
+    if (encoded !== `0001${padding}00${digestInfo}`) {
+      throw new JwtInvalidSignatureError('Invalid signature.');
+    }
+  }
+
+  /**
+   * @param {string} value Base64url encoded value.
+   * @returns {Buffer} the decoded bytes
+   * @private
+   */
+  static base64UrlDecode(value) {
+    let base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4 !== 0) {
+      base64 += '=';
+    }
+    return util.base64.decode(base64);
+  }
+}
+
+PromiseHelper.enablePromises(CognitoJwtVerifier.prototype, {
+  nodeCallback: {
+    verify: 1,
+    loadJwks: 0,
+  },
+});
@@ -0,0 +1,300 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { util } from 'aws-sdk/global';
+
+import { CognitoError, CognitoServiceError } from './CognitoErrors';
+import CognitoUser from './CognitoUser';
+import HttpClient from './HttpClient';
+import PromiseHelper from './PromiseHelper';
+
+/** @class */
+export default class CognitoOAuthClient {
+  /**
+   * Constructs a new CognitoOAuthClient object, signing users in through the hosted UI
+   * of the user pool domain with the authorization code grant and PKCE.
+   * @param {CognitoUserPool} pool The user pool.
+   * @param {object} options OAuth options.
+   * @param {string} options.domain The user pool domain, such as
+   *        https://example.auth.us-east-1.amazoncognito.com. https is assumed without scheme.
+   * @param {string} options.redirectSignIn The callback URL, allowed by the app client.
+   * @param {string=} options.redirectSignOut The sign out URL, allowed by the app client.
+   * @param {string[]=} options.scopes The requested scopes (default openid, email, profile
+   *        and aws.cognito.signin.user.admin).
+   * @param {string=} options.authorizeEndpoint Overrides domain/oauth2/authorize.
+   * @param {string=} options.tokenEndpoint Overrides domain/oauth2/token, for instance
+   *        to use a local stand-in while testing.
+   * @param {string=} options.logoutEndpoint Overrides domain/logout.
+   * @param {string=} options.revokeEndpoint Overrides domain/oauth2/revoke.
+   */
+  constructor(pool, options) {
+    const { domain, redirectSignIn, redirectSignOut, scopes } = options || {};
+    if (!domain || !redirectSignIn) {
+      throw new Error('Both domain and redirectSignIn are required.');
+    }
+
+    const baseUrl = (/^https?:\/\//.test(domain) ? domain : `https://${domain}`)
+      .replace(/\/+$/, '');
+
+    this.pool = pool;
+    this.redirectSignIn = redirectSignIn;
+    this.redirectSignOut = redirectSignOut;
+    this.scopes = scopes ||
+      ['openid', 'email', 'profile', 'aws.cognito.signin.user.admin'];
+    this.authorizeEndpoint = options.authorizeEndpoint || `${baseUrl}/oauth2/authorize`;
+    this.tokenEndpoint = options.tokenEndpoint || `${baseUrl}/oauth2/token`;
+    this.logoutEndpoint = options.logoutEndpoint || `${baseUrl}/logout`;
+    this.revokeEndpoint = options.revokeEndpoint || `${baseUrl}/oauth2/revoke`;
+  }
+
+  /**
+   * This is used to build the URL starting a sign-in through the hosted UI. The state
+   * and PKCE code verifier of the sign-in are saved in the pool storage.
+   * @param {object=} params Authorization parameters.
+   * @param {string=} params.identityProvider Identity provider to redirect to directly,
+   *        such as Google, SignInWithApple or a SAML provider name.
+   * @param {string[]=} params.scopes Scopes overriding the client scopes.
+   * @returns {string} the authorize URL to navigate to
+   */
+  getAuthorizeUrl({ identityProvider, scopes } = {}) {
+    const state = CognitoOAuthClient.randomString(32);
+    const codeVerifier = CognitoOAuthClient.randomString(64);
+    const codeChallenge = CognitoOAuthClient.base64Url(util.crypto.sha256(codeVerifier, 'base64'));
+
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
+    this.pool.storage.setItem(`${keyPrefix}.OAuthState`, state);
+    this.pool.storage.setItem(`${keyPrefix}.OAuthCodeVerifier`, codeVerifier);
+
+    return `${this.authorizeEndpoint}?${HttpClient.encodeParams({
+      response_type: 'code',
+      client_id: this.pool.getClientId(),
+      redirect_uri: this.redirectSignIn,
+      scope: (scopes || this.scopes).join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      identity_provider: identityProvider,
+    })}`;
+  }
+
+  /**
+   * This is used to parse and validate the URL the hosted UI redirected to. The saved state
+   * is cleared, and so is the code verifier when the callback is rejected.
+   * @param {string} url The callback URL, with its query string.
+   * @returns {string} the authorization code
+   * @throws {Error} if the sign-in failed, or the state does not match the saved one.
+   */
+  parseCallbackUrl(url) {
+    const params = HttpClient.decodeQuery(url);
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
+    const expectedState = this.pool.storage.getItem(`${keyPrefix}.OAuthState`);
+    // A callback is only ever accepted once, so the state is cleared whatever its outcome
+    this.pool.storage.removeItem(`${keyPrefix}.OAuthState`);
+
+    let error = null;
+    if (params.error) {
+      error = new CognitoError(params.error_description || params.error, params.error);
+    } else if (!params.code) {
+      error = new CognitoError('The callback URL has no code.', 'invalid_request');
+    } else if (!expectedState || params.state !== expectedState) {
+      error = new CognitoError(
+        'The callback state does not match the state of the sign-in.', 'invalid_state');
+    }
+    if (error) {
+      this.pool.storage.removeItem(`${keyPrefix}.OAuthCodeVerifier`);
+      throw error;
+    }
+
+    return params.code;
+  }
+
+  /**
+   * This is used to complete a hosted UI sign-in: the callback URL is validated, its
+   * code exchanged for tokens, and the new session cached for the returned user
+   * @param {string} url The callback URL, with its query string.
+   * @param {nodeCallback<CognitoUser>} callback Called on error or with the signed in user.
+   * @returns {void}
+   */
+  handleCallback(url, callback) {
+    let code;
+    try {
+      code = this.parseCallbackUrl(url);
+    } catch (err) {
+      return callback(err, null);
+    }
+    return this.exchangeCode(code, callback);
+  }
+
+  /**
+   * This is used to exchange an authorization code for tokens at the token endpoint
+   * @param {string} code The authorization code.
+   * @param {nodeCallback<CognitoUser>} callback Called on error or with the signed in user.
+   * @returns {void}
+   */
+  exchangeCode(code, callback) {
+    const verifierKey =
+      `CognitoIdentityServiceProvider.${this.pool.getClientId()}.OAuthCodeVerifier`;
+    const codeVerifier = this.pool.storage.getItem(verifierKey);
+    this.pool.storage.removeItem(verifierKey);
+
+    this.requestTokens({
+      grant_type: 'authorization_code',
+      client_id: this.pool.getClientId(),
+      code,
+      redirect_uri: this.redirectSignIn,
+      code_verifier: codeVerifier || undefined,
+    }, (err, tokens) => {
+      if (err) {
+        return callback(err, null);
+      }
+
+      const cognitoUser = new CognitoUser({
+        Username: 'unknown',
+        Pool: this.pool,
+        Storage: this.pool.storage,
+      });
+      const session = cognitoUser.getCognitoUserSession({
+        IdToken: tokens.id_token,
+        AccessToken: tokens.access_token,
+        RefreshToken: tokens.refresh_token,
+      });
+      cognitoUser.username = session.getAccessToken().getClaim('username') ||
+        session.getIdToken().getClaim('cognito:username');
+      cognitoUser.setSignInUserSession(session);
+      this.pool.notifyAuthStateChange('signIn', cognitoUser);
+      return callback(null, cognitoUser);
+    });
+  }
+
+  /**
+   * This is used to revoke a refresh token, and the access tokens it issued
+   * @param {string} refreshToken The refresh token to revoke.
+   * @param {nodeCallback} callback Called on error, or without arguments on success.
+   * @returns {void}
+   */
+  revokeToken(refreshToken, callback) {
+    this.post(this.revokeEndpoint, {
+      token: refreshToken,
+      client_id: this.pool.getClientId(),
+    }, err => callback(err));
+  }
+
+  /**
+   * Sends a request to the token endpoint
+   * @param {object} params The form parameters.
+   * @param {nodeCallback<object>} callback Called on error or with the token response.
+   * @returns {void}
+   * @private
+   */
+  requestTokens(params, callback) {
+    this.post(this.tokenEndpoint, params, (err, data) => {
+      if (err) {
+        return callback(err, null);
+      }
+      if (!data.id_token || !data.access_token) {
+        return callback(
+          new CognitoError('The token response has no tokens.', 'invalid_response'), null);
+      }
+      return callback(null, data);
+    });
+  }
+
+  /**
+   * Posts a form to an OAuth endpoint, authenticating the app client with its secret
+   * @param {string} url The endpoint.
+   * @param {object} params The form parameters.
+   * @param {nodeCallback<object>} callback Called on error or with the JSON response.
+   * @returns {void}
+   * @private
+   */
+  post(url, params, callback) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.pool.clientSecret) {
+      const credentials = `${this.pool.getClientId()}:${this.pool.clientSecret}`;
+      headers.Authorization = `Basic ${new util.Buffer(credentials, 'utf8').toString('base64')}`;
+    }
+
+    HttpClient.requestJson({
+      method: 'POST',
+      url,
+      headers,
+      body: HttpClient.encodeParams(params),
+    }, (err, data) => {
+      const oauthError = err && err.data && err.data.error;
+      if (oauthError) {
+        return callback(new CognitoServiceError(err.data.error_description || oauthError,
+          oauthError, { statusCode: err.statusCode, originalError: err }), null);
+      }
+      return err ? callback(err, null) : callback(null, data);
+    });
+  }
+
+  /**
+   * @returns {string} the URL of the hosted UI sign out, which redirects to redirectSignOut
+   */
+  getLogoutUrl() {
+    return `${this.logoutEndpoint}?${HttpClient.encodeParams({
+      client_id: this.pool.getClientId(),
+      logout_uri: this.redirectSignOut || this.redirectSignIn,
+    })}`;
+  }
+
+  /**
+   * This is used to sign a user out locally and from the hosted UI. In a browser, the
+   * page navigates to the hosted UI sign out.
+   * @param {CognitoUser=} cognitoUser The user to sign out, the current user by default.
+   * @returns {string} the URL of the hosted UI sign out
+   */
+  signOut(cognitoUser) {
+    const user = cognitoUser || this.pool.getCurrentUser();
+    if (user) {
+      user.signOut();
+    }
+
+    const logoutUrl = this.getLogoutUrl();
+    if (typeof window !== 'undefined' && window.location && window.location.assign) {
+      window.location.assign(logoutUrl);
+    }
+    return logoutUrl;
+  }
+
+  /**
+   * @param {int} size Number of random bytes.
+   * @returns {string} a random base64url string
+   * @private
+   */
+  static randomString(size) {
+    return CognitoOAuthClient.base64Url(util.crypto.lib.randomBytes(size).toString('base64'));
+  }
+
+  /**
+   * @param {string} base64 A base64 string.
+   * @returns {string} the base64url version, without padding
+   * @private
+   */
+  static base64Url(base64) {
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+}
+
+PromiseHelper.enablePromises(CognitoOAuthClient.prototype, {
+  nodeCallback: {
+    handleCallback: 1,
+    exchangeCode: 1,
+    revokeToken: 1,
+  },
+});
@@ -0,0 +1,163 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { CognitoServiceError } from './CognitoErrors';
+import HttpClient from './HttpClient';
+
+/**
+ * Property of the error responses holding the error type.
+ */
+const errorTypeProperty = '__type';
+
+/** @class */
+export default class CognitoServiceClient {
+  /**
+   * Constructs a new CognitoServiceClient object, a lightweight alternative to the
+   * CognitoIdentityServiceProvider client of the aws-sdk for the unauthenticated
+   * operations used by this library. Requests use the JSON protocol of the service.
+   * @param {object} options Client options.
+   * @param {string} options.region The region of the user pool.
+   * @param {string=} options.endpoint Overrides the endpoint of the region.
+   */
+  constructor({ region, endpoint }) {
+    this.endpoint = endpoint || `https://cognito-idp.${region}.amazonaws.com/`;
+  }
+
+  /**
+   * Sends a request to the service, with the interface of the aws-sdk clients
+   * @param {string} operation The operation, such as initiateAuth.
+   * @param {object} params The request parameters.
+   * @param {nodeCallback<object>} callback Called on error or with the response data.
+   * @returns {void}
+   */
+  makeUnauthenticatedRequest(operation, params, callback) {
+    this.send({ operation, params }, callback);
+  }
+
+  /**
+   * Sends a request to the service
+   * @param {object} request The request.
+   * @param {string} request.operation The operation, such as initiateAuth.
+   * @param {object} request.params The request parameters.
+   * @param {object=} request.headers Additional HTTP headers.
+   * @param {nodeCallback<object>} callback Called on error or with the response data.
+   * @returns {function} Call it to abort the request. The callback is not called then.
+   */
+  send({ operation, params, headers }, callback) {
+    const target = operation.charAt(0).toUpperCase() + operation.slice(1);
+    const requestHeaders = {
+      'Content-Type': 'application/x-amz-json-1.1',
+      'X-Amz-Target': `AWSCognitoIdentityProviderService.${target}`,
+    };
+    Object.keys(headers || {}).forEach(name => {
+      requestHeaders[name] = headers[name];
+    });
+
+    return HttpClient.request({
+      method: 'POST',
+      url: this.endpoint,
+      headers: requestHeaders,
+      body: JSON.stringify(CognitoServiceClient.removeNulls(params)),
+    }, (err, response) => {
+      if (err) {
+        return callback(new CognitoServiceError(err.message, 'NetworkingError', {
+          retryable: true,
+          originalError: err,
+        }), null);
+      }
+
+      let data;
+      try {
+        data = response.body ? JSON.parse(response.body) : {};
+      } catch (parseErr) {
+        data = {};
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return callback(CognitoServiceClient.parseError(response, data), null);
+      }
+      return callback(null, CognitoServiceClient.parseDates(data));
+    });
+  }
+
+  /**
+   * Builds the error of a failed request
+   * @param {HttpResponse} response The response.
+   * @param {object} data The parsed response body.
+   * @returns {CognitoServiceError} the error
+   * @private
+   */
+  static parseError(response, data) {
+    const type = data[errorTypeProperty] ||
+      response.headers['x-amzn-errortype'] || `HTTP${response.statusCode}`;
+    // The type may be qualified, as in aws.cognito#UserNotFoundException
+    const code = type.split(':')[0].split('#').pop();
+    const { statusCode } = response;
+
+    return new CognitoServiceError(data.message || data.Message || code, code, {
+      statusCode,
+      requestId: response.headers['x-amzn-requestid'],
+      retryable: statusCode >= 500 || code === 'TooManyRequestsException',
+    });
+  }
+
+  /**
+   * Removes null and undefined members from request parameters, as the aws-sdk does
+   * @param {*} value The parameters.
+   * @returns {*} the parameters without null members
+   * @private
+   */
+  static removeNulls(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => CognitoServiceClient.removeNulls(item));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    Object.keys(value).forEach(name => {
+      if (value[name] != null) {
+        result[name] = CognitoServiceClient.removeNulls(value[name]);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Turns timestamps, such as the DeviceCreateDate of devices, into dates as the
+   * aws-sdk does. The service sends them as seconds since the epoch.
+   * @param {*} value The response data.
+   * @returns {*} the response data with dates
+   * @private
+   */
+  static parseDates(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => CognitoServiceClient.parseDates(item));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = {};
+    Object.keys(value).forEach(name => {
+      result[name] = /Date$/.test(name) && typeof value[name] === 'number' ?
+        new Date(value[name] * 1000) : CognitoServiceClient.parseDates(value[name]);
+    });
+    return result;
+  }
+}
@@ -17,15 +17,41 @@
 
 import { util } from 'aws-sdk/global';
 
-import BigInteger from './BigInteger';
 import AuthenticationHelper from './AuthenticationHelper';
 import CognitoAccessToken from './CognitoAccessToken';
+import {
+  ChallengeRequiredError,
+  CognitoError,
+  DeviceNotFoundError,
+  NotAuthenticatedError,
+  SessionExpiredError,
+} from './CognitoErrors';
 import CognitoIdToken from './CognitoIdToken';
 import CognitoRefreshToken from './CognitoRefreshToken';
 import CognitoUserSession from './CognitoUserSession';
 import DateHelper from './DateHelper';
+import DeviceNameHelper from './DeviceNameHelper';
 import CognitoUserAttribute from './CognitoUserAttribute';
+import PromiseHelper from './PromiseHelper';
+import SignInStateMachine from './SignInStateMachine';
 import StorageHelper from './StorageHelper';
+import StorageLock from './StorageLock';
+import TokenRefresher from './TokenRefresher';
+
+/**
+ * Milliseconds between two checks of the storage while another tab refreshes the session.
+ */
+const refreshLockPollInterval = 100;
+
+/**
+ * Milliseconds to wait for another tab refreshing the session before failing.
+ */
+const refreshLockTimeout = 30000;
+
+/**
+ * Decisions about a device Cognito sees for the first time, see rememberDevice.
+ */
+const deviceRememberingDecisions = ['remember', 'track', 'skip'];
 
 /**
  * @callback nodeCallback
@@ -50,6 +76,24 @@ import StorageHelper from './StorageHelper';
  * @param {*} details MFA challenge details.
  */
 
+/**
+ * @callback totpRequired
+ * @param {string} challengeName SOFTWARE_TOKEN_MFA.
+ * @param {*} details MFA challenge details.
+ */
+
+/**
+ * @callback selectMFAType
+ * @param {string} challengeName SELECT_MFA_TYPE.
+ * @param {*} details Challenge details, MFAS_CAN_CHOOSE lists the available types.
+ */
+
+/**
+ * @callback mfaSetup
+ * @param {string} challengeName MFA_SETUP.
+ * @param {*} details Challenge details, MFAS_CAN_SETUP lists the available types.
+ */
+
 /**
  * @callback customChallenge
  * @param {*} details Custom challenge details.
@@ -60,6 +104,14 @@ import StorageHelper from './StorageHelper';
  * @param {*} data Server response.
  */
 
+/**
+ * @callback rememberDevice
+ * @param {CognitoUser} user The user signing in.
+ * @param {nodeCallback<string>} callback Call it with remember to remember the device,
+ *        track to list it in the devices of the user without remembering it, or skip to
+ *        neither list nor remember it.
+ */
+
 /**
  * @callback authSuccess
  * @param {CognitoUserSession} session The new session.
@@ -67,7 +119,12 @@ import StorageHelper from './StorageHelper';
  */
 
 
-/** @class */
+/**
+ * Every method taking a callback returns a promise instead when the callback is omitted.
+ * Sign-in methods then resolve to a {@link SignInStep} rather than calling the
+ * mfaRequired, customChallenge or newPasswordRequired callbacks.
+ * @class
+ */
 export default class CognitoUser {
   /**
    * Constructs a new CognitoUser object
@@ -75,6 +132,10 @@ export default class CognitoUser {
    * @param {string} data.Username The user's username.
    * @param {CognitoUserPool} data.Pool Pool containing the user.
    * @param {object} data.Storage Optional storage object.
+   * @param {string|function=} data.deviceName Name of this device in the device list of
+   *        the user, or a function of the user returning it. Overrides the option of the pool.
+   * @param {string|rememberDevice=} data.rememberDevice What to do with a device Cognito
+   *        sees for the first time, see CognitoUserPool. Overrides the option of the pool.
    */
   constructor(data) {
     if (data == null || data.Username == null || data.Pool == null) {
@@ -88,7 +149,12 @@ export default class CognitoUser {
     this.client = data.Pool.client;
 
     this.signInUserSession = null;
+    this.signInState = new SignInStateMachine();
     this.authenticationFlowType = 'USER_SRP_AUTH';
+    this.tokenRefresher = null;
+    this.preparedAuthenticationHelper = null;
+    this.deviceName = data.deviceName;
+    this.rememberDevice = data.rememberDevice;
 
     this.storage = data.Storage || new StorageHelper().getStorage();
   }
@@ -100,6 +166,17 @@ export default class CognitoUser {
     return this.signInUserSession;
   }
 
+  /**
+   * This is used to sign the user in with a session obtained outside of the sign-in
+   * flows, such as through the hosted UI. The tokens are cached like after a sign-in.
+   * @param {CognitoUserSession} signInUserSession The new session.
+   * @returns {void}
+   */
+  setSignInUserSession(signInUserSession) {
+    this.signInUserSession = signInUserSession;
+    this.cacheTokens();
+  }
+
   /**
    * @returns {string} the user's username
    */
@@ -116,13 +193,141 @@ export default class CognitoUser {
 
   /**
    * sets authentication flow type
-   * @param {string} authenticationFlowType New value.
+   * @param {string} authenticationFlowType New value: USER_SRP_AUTH (default),
+   *        USER_PASSWORD_AUTH to send the password without SRP, or CUSTOM_AUTH.
    * @returns {void}
    */
   setAuthenticationFlowType(authenticationFlowType) {
     this.authenticationFlowType = authenticationFlowType;
   }
 
+  /**
+   * @returns {string} the state of the sign-in in progress
+   */
+  getSignInState() {
+    return this.signInState.getState();
+  }
+
+  /**
+   * This is used to restore a sign-in interrupted while waiting for a challenge answer,
+   * for instance by a page reload. Steps answered by the library itself (PASSWORD_VERIFIER,
+   * DEVICE_SRP_AUTH) cannot be resumed and are discarded.
+   * @returns {bool} if a pending sign-in was restored
+   */
+  restoreSignInState() {
+    const signInStateKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.SignInState`;
+    const cachedState = this.storage.getItem(signInStateKey);
+    if (!cachedState) {
+      return false;
+    }
+
+    let signInState;
+    try {
+      const data = JSON.parse(cachedState);
+      if (data.username !== this.username) {
+        return false;
+      }
+      signInState = new SignInStateMachine(data);
+    } catch (err) {
+      this.storage.removeItem(signInStateKey);
+      return false;
+    }
+
+    const state = signInState.getState();
+    if (!signInState.isPending() || state === 'PASSWORD_VERIFIER' || state === 'DEVICE_SRP_AUTH') {
+      this.storage.removeItem(signInStateKey);
+      return false;
+    }
+
+    this.signInState = signInState;
+    this.Session = signInState.getSession();
+    this.getCachedDeviceKeyAndPassword();
+    return true;
+  }
+
+  /**
+   * This is used to start a new sign-in and forget any pending one
+   * @returns {void}
+   * @private
+   */
+  resetSignInState() {
+    const signInStateKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.SignInState`;
+
+    this.signInState.reset();
+    this.storage.removeItem(signInStateKey);
+  }
+
+  /**
+   * This is used to move the sign-in to its next state and save it to local storage
+   * @param {string} state The next sign-in state.
+   * @param {object=} data Server response of the step.
+   * @returns {void}
+   * @throws {Error} if the state cannot be reached from the current one.
+   * @private
+   */
+  transitionSignInState(state, data) {
+    this.signInState.transition(state, data);
+    this.Session = this.signInState.getSession() || this.Session;
+
+    const signInStateKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.SignInState`;
+    if (this.signInState.isPending()) {
+      const cachedState = this.signInState.toJSON();
+      cachedState.username = this.username;
+      this.storage.setItem(signInStateKey, JSON.stringify(cachedState));
+    } else {
+      this.storage.removeItem(signInStateKey);
+    }
+  }
+
+  /**
+   * This is used to end the sign-in with the tokens of a server response. The sign-in
+   * state is cleared before the tokens are cached, so that nothing thrown afterwards
+   * leaves a finished sign-in for restoreSignInState to resume.
+   * @param {object} data Server response with the AuthenticationResult.
+   * @param {object} callback Result callback map, called on failure only.
+   * @returns {bool} if the sign-in ended, otherwise callback.onFailure was called
+   * @private
+   */
+  completeSignIn(data, callback) {
+    try {
+      this.transitionSignInState('DONE', data);
+    } catch (err) {
+      callback.onFailure(err);
+      return false;
+    }
+
+    this.signInUserSession = this.getCognitoUserSession(data.AuthenticationResult);
+    this.cacheTokens();
+    this.pool.notifyAuthStateChange('signIn', this);
+    return true;
+  }
+
+  /**
+   * This is used to move the sign-in to its next state and hand the step to the
+   * matching callback of the caller
+   * @param {string} state The next sign-in state.
+   * @param {object} data Server response of the step.
+   * @param {object} callback Result callback map.
+   * @param {string} callbackName Callback to call with the step details.
+   * @param {...*} args Arguments of the callback.
+   * @returns {void}
+   * @private
+   */
+  signInStep(state, data, callback, callbackName, ...args) {
+    try {
+      this.transitionSignInState(state, data);
+    } catch (err) {
+      return callback.onFailure(err);
+    }
+
+    if (typeof callback[callbackName] !== 'function') {
+      return callback.onFailure(new ChallengeRequiredError(
+        `The ${state} sign-in step requires a ${callbackName} callback.`,
+        state, this.signInState.getChallengeParameters()));
+    }
+    return callback[callbackName](...args);
+  }
+
 
   /**
    * This is used for authenticating the user through the custom authentication flow.
@@ -137,6 +342,8 @@ export default class CognitoUser {
   initiateAuth(authDetails, callback) {
     const authParameters = authDetails.getAuthParameters();
     authParameters.USERNAME = this.username;
+    authParameters.SECRET_HASH = this.pool.getSecretHash(this.username);
+    this.resetSignInState();
 
     this.client.makeUnauthenticatedRequest('initiateAuth', {
       AuthFlow: 'CUSTOM_AUTH',
@@ -151,11 +358,16 @@ export default class CognitoUser {
       const challengeParameters = data.ChallengeParameters;
 
       if (challengeName === 'CUSTOM_CHALLENGE') {
-        this.Session = data.Session;
-        return callback.customChallenge(challengeParameters);
+        return this.signInStep(challengeName, data, callback, 'customChallenge',
+          challengeParameters);
+      }
+      if (challengeName) {
+        return callback.onFailure(new ChallengeRequiredError(
+          `Unexpected sign-in challenge ${challengeName}.`, challengeName, challengeParameters));
+      }
+      if (!this.completeSignIn(data, callback)) {
+        return undefined;
       }
-      this.signInUserSession = this.getCognitoUserSession(data.AuthenticationResult);
-      this.cacheTokens();
       return callback.onSuccess(this.signInUserSession);
     });
   }
@@ -170,128 +382,236 @@ export default class CognitoUser {
    *        password and any required attributes are required to continue
    * @param {mfaRequired} callback.mfaRequired MFA code
    *        required to continue.
+   * @param {totpRequired} callback.totpRequired Authenticator app
+   *        code required to continue.
+   * @param {selectMFAType} callback.selectMFAType MFA type must be
+   *        chosen to continue, see sendMFASelectionAnswer.
+   * @param {mfaSetup} callback.mfaSetup Authenticator app must be
+   *        set up to continue, see associateSoftwareToken.
    * @param {customChallenge} callback.customChallenge Custom challenge
    *        response required to continue.
    * @param {authSuccess} callback.onSuccess Called on success with the new session.
    * @returns {void}
    */
   authenticateUser(authDetails, callback) {
-    const authenticationHelper = new AuthenticationHelper(
-      this.pool.getUserPoolId().split('_')[1]);
-    const dateHelper = new DateHelper();
+    if (this.authenticationFlowType === 'USER_PASSWORD_AUTH') {
+      return this.authenticateUserPlainUsernamePassword(authDetails, callback);
+    }
+    return this.authenticateUserDefaultAuth(authDetails, callback);
+  }
 
-    let serverBValue;
-    let salt;
+  /**
+   * PRIVATE ONLY: This is an internal only method and should not
+   * be directly called by the consumers. It authenticates the user without SRP
+   * by sending the password to the server (USER_PASSWORD_AUTH flow).
+   * @param {AuthenticationDetails} authDetails Contains the authentication data.
+   * @param {object} callback Result callback map, see authenticateUser.
+   * @returns {void}
+   */
+  authenticateUserPlainUsernamePassword(authDetails, callback) {
     const authParameters = {};
+    authParameters.USERNAME = this.username;
+    authParameters.PASSWORD = authDetails.getPassword();
+    if (!authParameters.PASSWORD) {
+      return callback.onFailure(
+        new CognitoError('PASSWORD parameter is required', 'InvalidParameter'));
+    }
 
+    this.getCachedDeviceKeyAndPassword();
     if (this.deviceKey != null) {
       authParameters.DEVICE_KEY = this.deviceKey;
     }
-
-    authParameters.USERNAME = this.username;
-    authParameters.SRP_A = authenticationHelper.getLargeAValue().toString(16);
-
-    if (this.authenticationFlowType === 'CUSTOM_AUTH') {
-      authParameters.CHALLENGE_NAME = 'SRP_A';
-    }
+    authParameters.SECRET_HASH = this.pool.getSecretHash(this.username);
+    this.resetSignInState();
 
     this.client.makeUnauthenticatedRequest('initiateAuth', {
-      AuthFlow: this.authenticationFlowType,
+      AuthFlow: 'USER_PASSWORD_AUTH',
       ClientId: this.pool.getClientId(),
       AuthParameters: authParameters,
       ClientMetadata: authDetails.getValidationData(),
-    }, (err, data) => {
+    }, (err, authResult) => {
       if (err) {
         return callback.onFailure(err);
       }
 
-      const challengeParameters = data.ChallengeParameters;
+      const challengeParameters = authResult.ChallengeParameters;
+      if (challengeParameters && challengeParameters.USER_ID_FOR_SRP &&
+        challengeParameters.USER_ID_FOR_SRP !== this.username) {
+        this.username = challengeParameters.USER_ID_FOR_SRP;
+        // The device is stored under the username, not under the alias used to sign in
+        this.deviceKey = null;
+        this.randomPassword = null;
+        this.deviceGroupKey = null;
+        this.getCachedDeviceKeyAndPassword();
+      }
 
-      this.username = challengeParameters.USER_ID_FOR_SRP;
-      serverBValue = new BigInteger(challengeParameters.SRP_B, 16);
-      salt = new BigInteger(challengeParameters.SALT, 16);
-      this.getCachedDeviceKeyAndPassword();
+      const authenticationHelper = this.createAuthenticationHelper(
+        this.pool.getUserPoolId().split('_')[1]);
+      return this.authenticateUserInternal(authResult, authenticationHelper, callback);
+    });
+    return undefined;
+  }
 
-      const hkdf = authenticationHelper.getPasswordAuthenticationKey(
-        this.username,
-        authDetails.getPassword(),
-        serverBValue,
-        salt);
+  /**
+   * Builds an SRP helper using the math backend of the pool
+   * @param {string} poolName The pool name or the device group key.
+   * @returns {AuthenticationHelper} the helper
+   * @private
+   */
+  createAuthenticationHelper(poolName) {
+    return new AuthenticationHelper(poolName, {
+      mathBackend: this.pool.getSrpBackend(),
+      worker: this.pool.getSrpWorker(),
+    });
+  }
 
-      const dateNow = dateHelper.getNowString();
+  /**
+   * This is used to start the SRP computations of the next authenticateUser call ahead of
+   * time, for instance while the user types their password
+   * @returns {void}
+   */
+  prepareAuthentication() {
+    if (this.preparedAuthenticationHelper != null) {
+      return;
+    }
 
-      const signatureString = util.crypto.hmac(hkdf, util.buffer.concat([
-        new util.Buffer(this.pool.getUserPoolId().split('_')[1], 'utf8'),
-        new util.Buffer(this.username, 'utf8'),
-        new util.Buffer(challengeParameters.SECRET_BLOCK, 'base64'),
-        new util.Buffer(dateNow, 'utf8'),
-      ]), 'base64', 'sha256');
+    this.preparedAuthenticationHelper = this.createAuthenticationHelper(
+      this.pool.getUserPoolId().split('_')[1]);
+    // Errors come back to authenticateUser, which computes A again
+    this.preparedAuthenticationHelper.getLargeAValueAsync(() => {});
+  }
 
-      const challengeResponses = {};
+  /**
+   * PRIVATE ONLY: This is an internal only method and should not
+   * be directly called by the consumers. It authenticates the user with
+   * SRP (USER_SRP_AUTH and CUSTOM_AUTH flows).
+   * @param {AuthenticationDetails} authDetails Contains the authentication data.
+   * @param {object} callback Result callback map, see authenticateUser.
+   * @returns {void}
+   */
+  authenticateUserDefaultAuth(authDetails, callback) {
+    const authenticationHelper = this.preparedAuthenticationHelper ||
+      this.createAuthenticationHelper(this.pool.getUserPoolId().split('_')[1]);
+    this.preparedAuthenticationHelper = null;
+
+    authenticationHelper.getLargeAValueAsync((errA, largeAValue) => {
+      if (errA) {
+        return callback.onFailure(errA);
+      }
 
-      challengeResponses.USERNAME = this.username;
-      challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
-      challengeResponses.TIMESTAMP = dateNow;
-      challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
+      const authParameters = {};
 
       if (this.deviceKey != null) {
-        challengeResponses.DEVICE_KEY = this.deviceKey;
-      }
-
-      const respondToAuthChallenge = (challenge, challengeCallback) =>
-        this.client.makeUnauthenticatedRequest('respondToAuthChallenge', challenge,
-          (errChallenge, dataChallenge) => {
-            if (errChallenge && errChallenge.code === 'ResourceNotFoundException' &&
-                errChallenge.message.toLowerCase().indexOf('device') !== -1) {
-              challengeResponses.DEVICE_KEY = null;
-              this.deviceKey = null;
-              this.randomPassword = null;
-              this.deviceGroupKey = null;
-              this.clearCachedDeviceKeyAndPassword();
-              return respondToAuthChallenge(challenge, challengeCallback);
-            }
-            return challengeCallback(errChallenge, dataChallenge);
-          });
+        authParameters.DEVICE_KEY = this.deviceKey;
+      }
 
-      respondToAuthChallenge({
-        ChallengeName: 'PASSWORD_VERIFIER',
+      authParameters.USERNAME = this.username;
+      authParameters.SRP_A = largeAValue.toString(16);
+      authParameters.SECRET_HASH = this.pool.getSecretHash(this.username);
+
+      if (this.authenticationFlowType === 'CUSTOM_AUTH') {
+        authParameters.CHALLENGE_NAME = 'SRP_A';
+      }
+      this.resetSignInState();
+
+      this.client.makeUnauthenticatedRequest('initiateAuth', {
+        AuthFlow: this.authenticationFlowType,
         ClientId: this.pool.getClientId(),
-        ChallengeResponses: challengeResponses,
-        Session: data.Session,
-      }, (errAuthenticate, dataAuthenticate) => {
-        if (errAuthenticate) {
-          return callback.onFailure(errAuthenticate);
+        AuthParameters: authParameters,
+        ClientMetadata: authDetails.getValidationData(),
+      }, (err, data) => {
+        if (err) {
+          return callback.onFailure(err);
         }
 
-        const challengeName = dataAuthenticate.ChallengeName;
-        if (challengeName === 'NEW_PASSWORD_REQUIRED') {
-          this.Session = dataAuthenticate.Session;
-          let userAttributes = null;
-          let rawRequiredAttributes = null;
-          const requiredAttributes = [];
-          const userAttributesPrefix = authenticationHelper
-            .getNewPasswordRequiredChallengeUserAttributePrefix();
-
-          if (dataAuthenticate.ChallengeParameters) {
-            userAttributes = JSON.parse(
-              dataAuthenticate.ChallengeParameters.userAttributes);
-            rawRequiredAttributes = JSON.parse(
-              dataAuthenticate.ChallengeParameters.requiredAttributes);
-          }
+        const challengeParameters = data.ChallengeParameters;
 
-          if (rawRequiredAttributes) {
-            for (let i = 0; i < rawRequiredAttributes.length; i++) {
-              requiredAttributes[i] = rawRequiredAttributes[i].substr(userAttributesPrefix.length);
-            }
-          }
-          return callback.newPasswordRequired(userAttributes, requiredAttributes);
+        this.username = challengeParameters.USER_ID_FOR_SRP;
+        try {
+          this.transitionSignInState('PASSWORD_VERIFIER', data);
+        } catch (errState) {
+          return callback.onFailure(errState);
         }
-        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper, callback);
+        this.getCachedDeviceKeyAndPassword();
+
+        return authenticationHelper.getPasswordAuthenticationKeyAsync(
+          this.username,
+          authDetails.getPassword(),
+          challengeParameters.SRP_B,
+          challengeParameters.SALT,
+          (errKey, hkdf) => {
+            if (errKey) {
+              return callback.onFailure(errKey);
+            }
+
+            return this.respondToPasswordVerifier(data, hkdf, authenticationHelper, callback);
+          });
       });
       return undefined;
     });
   }
 
+  /**
+   * Answers the PASSWORD_VERIFIER challenge of the SRP sign-in
+   * @param {object} data Server response of initiateAuth.
+   * @param {Buffer} hkdf The password authentication key.
+   * @param {AuthenticationHelper} authenticationHelper The SRP helper of the sign-in.
+   * @param {object} callback Result callback map, see authenticateUser.
+   * @returns {void}
+   * @private
+   */
+  respondToPasswordVerifier(data, hkdf, authenticationHelper, callback) {
+    const challengeParameters = data.ChallengeParameters;
+    const dateNow = new DateHelper().getNowString();
+
+    const signatureString = util.crypto.hmac(hkdf, util.buffer.concat([
+      new util.Buffer(this.pool.getUserPoolId().split('_')[1], 'utf8'),
+      new util.Buffer(this.username, 'utf8'),
+      new util.Buffer(challengeParameters.SECRET_BLOCK, 'base64'),
+      new util.Buffer(dateNow, 'utf8'),
+    ]), 'base64', 'sha256');
+
+    const challengeResponses = {};
+
+    challengeResponses.USERNAME = this.username;
+    challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
+    challengeResponses.TIMESTAMP = dateNow;
+    challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
+    challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
+
+    if (this.deviceKey != null) {
+      challengeResponses.DEVICE_KEY = this.deviceKey;
+    }
+
+    const respondToAuthChallenge = (challenge, challengeCallback) =>
+      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', challenge,
+        (errChallenge, dataChallenge) => {
+          if (errChallenge && errChallenge.code === 'ResourceNotFoundException' &&
+            /device/i.test(errChallenge.message)) {
+            challengeResponses.DEVICE_KEY = null;
+            this.deviceKey = null;
+            this.randomPassword = null;
+            this.deviceGroupKey = null;
+            this.clearCachedDeviceKeyAndPassword();
+            return respondToAuthChallenge(challenge, challengeCallback);
+          }
+          return challengeCallback(errChallenge, dataChallenge);
+        });
+
+    respondToAuthChallenge({
+      ChallengeName: 'PASSWORD_VERIFIER',
+      ClientId: this.pool.getClientId(),
+      ChallengeResponses: challengeResponses,
+      Session: data.Session,
+    }, (errAuthenticate, dataAuthenticate) => {
+      if (errAuthenticate) {
+        return callback.onFailure(errAuthenticate);
+      }
+
+      return this.authenticateUserInternal(dataAuthenticate, authenticationHelper, callback);
+    });
+  }
+
   /**
   * PRIVATE ONLY: This is an internal only method and should not
   * be directly called by the consumers.
@@ -304,32 +624,117 @@ export default class CognitoUser {
     const challengeName = dataAuthenticate.ChallengeName;
     const challengeParameters = dataAuthenticate.ChallengeParameters;
 
+    if (challengeName === 'NEW_PASSWORD_REQUIRED') {
+      let userAttributes = null;
+      let rawRequiredAttributes = null;
+      const requiredAttributes = [];
+      const userAttributesPrefix = authenticationHelper
+        .getNewPasswordRequiredChallengeUserAttributePrefix();
+
+      if (challengeParameters) {
+        userAttributes = JSON.parse(challengeParameters.userAttributes);
+        rawRequiredAttributes = JSON.parse(challengeParameters.requiredAttributes);
+      }
+
+      if (rawRequiredAttributes) {
+        for (let i = 0; i < rawRequiredAttributes.length; i++) {
+          requiredAttributes[i] = rawRequiredAttributes[i].substr(userAttributesPrefix.length);
+        }
+      }
+      return this.signInStep(challengeName, dataAuthenticate, callback,
+        'newPasswordRequired', userAttributes, requiredAttributes);
+    }
+
     if (challengeName === 'SMS_MFA') {
-      this.Session = dataAuthenticate.Session;
-      return callback.mfaRequired(challengeName, challengeParameters);
+      return this.signInStep(challengeName, dataAuthenticate, callback, 'mfaRequired',
+        challengeName, challengeParameters);
+    }
+
+    if (challengeName === 'SOFTWARE_TOKEN_MFA') {
+      return this.signInStep(challengeName, dataAuthenticate, callback, 'totpRequired',
+        challengeName, challengeParameters);
+    }
+
+    if (challengeName === 'SELECT_MFA_TYPE') {
+      return this.signInStep(challengeName, dataAuthenticate, callback, 'selectMFAType',
+        challengeName, challengeParameters);
+    }
+
+    if (challengeName === 'MFA_SETUP') {
+      return this.signInStep(challengeName, dataAuthenticate, callback, 'mfaSetup',
+        challengeName, challengeParameters);
     }
 
     if (challengeName === 'CUSTOM_CHALLENGE') {
-      this.Session = dataAuthenticate.Session;
-      return callback.customChallenge(challengeParameters);
+      return this.signInStep(challengeName, dataAuthenticate, callback, 'customChallenge',
+        challengeParameters);
     }
 
     if (challengeName === 'DEVICE_SRP_AUTH') {
+      try {
+        this.transitionSignInState(challengeName, dataAuthenticate);
+      } catch (err) {
+        return callback.onFailure(err);
+      }
       this.getDeviceResponse(callback);
       return undefined;
     }
 
-    this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-    this.cacheTokens();
+    if (challengeName) {
+      return callback.onFailure(new ChallengeRequiredError(
+        `Unexpected sign-in challenge ${challengeName}.`, challengeName, challengeParameters));
+    }
+
+    if (!this.completeSignIn(dataAuthenticate, callback)) {
+      return undefined;
+    }
 
     const newDeviceMetadata = dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
     if (newDeviceMetadata == null) {
       return callback.onSuccess(this.signInUserSession);
     }
 
+    return this.confirmNewDevice(dataAuthenticate, authenticationHelper, callback);
+  }
+
+  /**
+   * Confirms the device Cognito saw for the first time during the sign-in, so that it can
+   * be remembered
+   * @param {object} dataAuthenticate Server response with the NewDeviceMetadata.
+   * @param {AuthenticationHelper} authenticationHelper Generates the device verifier.
+   * @param {object} callback Result callback map, see authenticateUser.
+   * @returns {void}
+   * @private
+   */
+  confirmNewDevice(dataAuthenticate, authenticationHelper, callback) {
+    this.decideDeviceRemembering((errDecision, decision) => {
+      if (errDecision) {
+        return callback.onFailure(errDecision);
+      }
+      if (decision === 'skip') {
+        return callback.onSuccess(this.signInUserSession);
+      }
+      return this.sendDeviceConfirmation(
+        dataAuthenticate, authenticationHelper, decision, callback);
+    });
+  }
+
+  /**
+   * Confirms the new device, then applies the remembering decision
+   * @param {object} dataAuthenticate Server response with the NewDeviceMetadata.
+   * @param {AuthenticationHelper} authenticationHelper Generates the device verifier.
+   * @param {string} decision remember, track, or null to leave the status to the
+   *        settings of the user pool.
+   * @param {object} callback Result callback map, see authenticateUser.
+   * @returns {void}
+   * @private
+   */
+  sendDeviceConfirmation(dataAuthenticate, authenticationHelper, decision, callback) {
+    const newDeviceMetadata = dataAuthenticate.AuthenticationResult.NewDeviceMetadata;
+
     authenticationHelper.generateHashDevice(
-      dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
-      dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey);
+      newDeviceMetadata.DeviceGroupKey,
+      newDeviceMetadata.DeviceKey);
 
     const deviceSecretVerifierConfig = {
       Salt: new util.Buffer(
@@ -348,21 +753,100 @@ export default class CognitoUser {
       DeviceKey: newDeviceMetadata.DeviceKey,
       AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
       DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
-      DeviceName: navigator.userAgent,
+      DeviceName: this.getDeviceName(),
     }, (errConfirm, dataConfirm) => {
       if (errConfirm) {
         return callback.onFailure(errConfirm);
       }
 
-      this.deviceKey = dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
+      this.deviceKey = newDeviceMetadata.DeviceKey;
       this.cacheDeviceKeyAndPassword();
-      if (dataConfirm.UserConfirmationNecessary === true) {
-        return callback.onSuccess(
-          this.signInUserSession, dataConfirm.UserConfirmationNecessary);
+      if (decision == null) {
+        if (dataConfirm.UserConfirmationNecessary === true) {
+          return callback.onSuccess(this.signInUserSession, dataConfirm.UserConfirmationNecessary);
+        }
+        return callback.onSuccess(this.signInUserSession);
       }
-      return callback.onSuccess(this.signInUserSession);
+
+      const updateDeviceStatus = decision === 'remember' ?
+        this.setDeviceStatusRemembered : this.setDeviceStatusNotRemembered;
+      return updateDeviceStatus.call(this, {
+        onSuccess: () => callback.onSuccess(this.signInUserSession),
+        onFailure: errStatus => callback.onFailure(errStatus),
+      });
     });
-    return undefined;
+  }
+
+  /**
+   * Decides what to do with the device Cognito saw for the first time. A remember or
+   * track decision of the rememberDevice function is persisted next to the device key,
+   * and reused until the device is forgotten. The function is asked again after skip.
+   * @param {nodeCallback<string>} callback Called with remember, track, skip, or null
+   *        to leave the status to the settings of the user pool.
+   * @returns {void}
+   * @private
+   */
+  decideDeviceRemembering(callback) {
+    const policy = this.rememberDevice != null ?
+      this.rememberDevice : this.pool.getRememberDevicePolicy();
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    const deviceRememberingKey = `${keyPrefix}.deviceRemembering`;
+
+    const decide = (err, decision) => {
+      if (err) {
+        return callback(err, null);
+      }
+      if (decision == null) {
+        return callback(null, null);
+      }
+      if (deviceRememberingDecisions.indexOf(decision) === -1) {
+        return callback(new Error(`Unknown device remembering decision ${decision}.`), null);
+      }
+
+      if (typeof policy === 'function' && decision !== 'skip') {
+        this.storage.setItem(deviceRememberingKey, decision);
+      }
+      return callback(null, decision);
+    };
+
+    if (typeof policy !== 'function') {
+      return decide(null, policy);
+    }
+    const persistedDecision = this.getDeviceRememberingDecision();
+    if (persistedDecision) {
+      return callback(null, persistedDecision);
+    }
+    return policy(this, decide);
+  }
+
+  /**
+   * @returns {string} the persisted remembering decision of the rememberDevice function
+   *          for this device: remember or track, or null if none was made
+   */
+  getDeviceRememberingDecision() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    const decision = this.storage.getItem(`${keyPrefix}.deviceRemembering`);
+    return decision === 'remember' || decision === 'track' ? decision : null;
+  }
+
+  /**
+   * This is used to forget the persisted remembering decision, so that the rememberDevice
+   * function is asked again the next time Cognito sees this device as new
+   * @returns {void}
+   */
+  resetDeviceRememberingDecision() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    this.storage.removeItem(`${keyPrefix}.deviceRemembering`);
+  }
+
+  /**
+   * @returns {string} the name of this device in the device list of the user
+   * @private
+   */
+  getDeviceName() {
+    const provider = this.deviceName != null ? this.deviceName : this.pool.getDeviceNameProvider();
+    const deviceName = typeof provider === 'function' ? provider(this) : provider;
+    return deviceName || new DeviceNameHelper().getDeviceName();
   }
 
   /**
@@ -374,6 +858,9 @@ export default class CognitoUser {
   * @param {object} callback Result callback map.
   * @param {onFailure} callback.onFailure Called on any error.
   * @param {mfaRequired} callback.mfaRequired MFA code required to continue.
+  * @param {totpRequired} callback.totpRequired Authenticator app code required to continue.
+  * @param {selectMFAType} callback.selectMFAType MFA type must be chosen to continue.
+  * @param {mfaSetup} callback.mfaSetup Authenticator app must be set up to continue.
   * @param {customChallenge} callback.customChallenge Custom challenge
   *         response required to continue.
   * @param {authSuccess} callback.onSuccess Called on success with the new session.
@@ -383,7 +870,12 @@ export default class CognitoUser {
     if (!newPassword) {
       return callback.onFailure(new Error('New password is required.'));
     }
-    const authenticationHelper = new AuthenticationHelper(
+    try {
+      this.signInState.assertState('NEW_PASSWORD_REQUIRED');
+    } catch (err) {
+      return callback.onFailure(err);
+    }
+    const authenticationHelper = this.createAuthenticationHelper(
       this.pool.getUserPoolId().split('_')[1]);
     const userAttributesPrefix = authenticationHelper
       .getNewPasswordRequiredChallengeUserAttributePrefix();
@@ -397,6 +889,7 @@ export default class CognitoUser {
 
     finalUserAttributes.NEW_PASSWORD = newPassword;
     finalUserAttributes.USERNAME = this.username;
+    finalUserAttributes.SECRET_HASH = this.pool.getSecretHash(this.username);
     this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
       ChallengeName: 'NEW_PASSWORD_REQUIRED',
       ClientId: this.pool.getClientId(),
@@ -422,69 +915,90 @@ export default class CognitoUser {
    * @private
    */
   getDeviceResponse(callback) {
-    const authenticationHelper = new AuthenticationHelper(
-      this.deviceGroupKey);
-    const dateHelper = new DateHelper();
+    const authenticationHelper = this.createAuthenticationHelper(this.deviceGroupKey);
 
-    const authParameters = {};
+    authenticationHelper.getLargeAValueAsync((errA, largeAValue) => {
+      if (errA) {
+        return callback.onFailure(errA);
+      }
 
-    authParameters.USERNAME = this.username;
-    authParameters.DEVICE_KEY = this.deviceKey;
-    authParameters.SRP_A = authenticationHelper.getLargeAValue().toString(16);
+      const authParameters = {};
 
-    this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
-      ChallengeName: 'DEVICE_SRP_AUTH',
-      ClientId: this.pool.getClientId(),
-      ChallengeResponses: authParameters,
-    }, (err, data) => {
-      if (err) {
-        return callback.onFailure(err);
-      }
+      authParameters.USERNAME = this.username;
+      authParameters.DEVICE_KEY = this.deviceKey;
+      authParameters.SRP_A = largeAValue.toString(16);
+      authParameters.SECRET_HASH = this.pool.getSecretHash(this.username);
 
-      const challengeParameters = data.ChallengeParameters;
+      return this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+        ChallengeName: 'DEVICE_SRP_AUTH',
+        ClientId: this.pool.getClientId(),
+        ChallengeResponses: authParameters,
+      }, (err, data) => {
+        if (err) {
+          return callback.onFailure(err);
+        }
 
-      const serverBValue = new BigInteger(challengeParameters.SRP_B, 16);
-      const salt = new BigInteger(challengeParameters.SALT, 16);
+        const challengeParameters = data.ChallengeParameters;
 
-      const hkdf = authenticationHelper.getPasswordAuthenticationKey(
-        this.deviceKey,
-        this.randomPassword,
-        serverBValue,
-        salt);
+        return authenticationHelper.getPasswordAuthenticationKeyAsync(
+          this.deviceKey,
+          this.randomPassword,
+          challengeParameters.SRP_B,
+          challengeParameters.SALT,
+          (errKey, hkdf) => {
+            if (errKey) {
+              return callback.onFailure(errKey);
+            }
 
-      const dateNow = dateHelper.getNowString();
+            return this.respondToDevicePasswordVerifier(data, hkdf, callback);
+          });
+      });
+    });
+  }
 
-      const signatureString = util.crypto.hmac(hkdf, util.buffer.concat([
-        new util.Buffer(this.deviceGroupKey, 'utf8'),
-        new util.Buffer(this.deviceKey, 'utf8'),
-        new util.Buffer(challengeParameters.SECRET_BLOCK, 'base64'),
-        new util.Buffer(dateNow, 'utf8'),
-      ]), 'base64', 'sha256');
+  /**
+   * Answers the DEVICE_PASSWORD_VERIFIER challenge of the device authentication
+   * @param {object} data Server response of the DEVICE_SRP_AUTH challenge.
+   * @param {Buffer} hkdf The device password authentication key.
+   * @param {object} callback Result callback map, see getDeviceResponse.
+   * @returns {void}
+   * @private
+   */
+  respondToDevicePasswordVerifier(data, hkdf, callback) {
+    const challengeParameters = data.ChallengeParameters;
+    const dateNow = new DateHelper().getNowString();
 
-      const challengeResponses = {};
+    const signatureString = util.crypto.hmac(hkdf, util.buffer.concat([
+      new util.Buffer(this.deviceGroupKey, 'utf8'),
+      new util.Buffer(this.deviceKey, 'utf8'),
+      new util.Buffer(challengeParameters.SECRET_BLOCK, 'base64'),
+      new util.Buffer(dateNow, 'utf8'),
+    ]), 'base64', 'sha256');
 
-      challengeResponses.USERNAME = this.username;
-      challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
-      challengeResponses.TIMESTAMP = dateNow;
-      challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
-      challengeResponses.DEVICE_KEY = this.deviceKey;
+    const challengeResponses = {};
 
-      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
-        ChallengeName: 'DEVICE_PASSWORD_VERIFIER',
-        ClientId: this.pool.getClientId(),
-        ChallengeResponses: challengeResponses,
-        Session: data.Session,
-      }, (errAuthenticate, dataAuthenticate) => {
-        if (errAuthenticate) {
-          return callback.onFailure(errAuthenticate);
-        }
+    challengeResponses.USERNAME = this.username;
+    challengeResponses.PASSWORD_CLAIM_SECRET_BLOCK = challengeParameters.SECRET_BLOCK;
+    challengeResponses.TIMESTAMP = dateNow;
+    challengeResponses.PASSWORD_CLAIM_SIGNATURE = signatureString;
+    challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
+    challengeResponses.DEVICE_KEY = this.deviceKey;
+
+    this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+      ChallengeName: 'DEVICE_PASSWORD_VERIFIER',
+      ClientId: this.pool.getClientId(),
+      ChallengeResponses: challengeResponses,
+      Session: data.Session,
+    }, (errAuthenticate, dataAuthenticate) => {
+      if (errAuthenticate) {
+        return callback.onFailure(errAuthenticate);
+      }
 
-        this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-        this.cacheTokens();
+      if (!this.completeSignIn(dataAuthenticate, callback)) {
+        return undefined;
+      }
 
-        return callback.onSuccess(this.signInUserSession);
-      });
-      return undefined;
+      return callback.onSuccess(this.signInUserSession);
     });
   }
 
@@ -501,6 +1015,7 @@ export default class CognitoUser {
       ConfirmationCode: confirmationCode,
       Username: this.username,
       ForceAliasCreation: forceAliasCreation,
+      SecretHash: this.pool.getSecretHash(this.username),
     }, err => {
       if (err) {
         return callback(err, null);
@@ -520,9 +1035,16 @@ export default class CognitoUser {
    * @returns {void}
    */
   sendCustomChallengeAnswer(answerChallenge, callback) {
+    try {
+      this.signInState.assertState('CUSTOM_CHALLENGE');
+    } catch (err) {
+      return callback.onFailure(err);
+    }
+
     const challengeResponses = {};
     challengeResponses.USERNAME = this.username;
     challengeResponses.ANSWER = answerChallenge;
+    challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
 
     this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
       ChallengeName: 'CUSTOM_CHALLENGE',
@@ -537,14 +1059,68 @@ export default class CognitoUser {
       const challengeName = data.ChallengeName;
 
       if (challengeName === 'CUSTOM_CHALLENGE') {
-        this.Session = data.Session;
-        return callback.customChallenge(data.ChallengeParameters);
+        return this.signInStep(challengeName, data, callback, 'customChallenge',
+          data.ChallengeParameters);
+      }
+      if (challengeName) {
+        return callback.onFailure(new ChallengeRequiredError(
+          `Unexpected sign-in challenge ${challengeName}.`,
+          challengeName, data.ChallengeParameters));
       }
 
-      this.signInUserSession = this.getCognitoUserSession(data.AuthenticationResult);
-      this.cacheTokens();
+      if (!this.completeSignIn(data, callback)) {
+        return undefined;
+      }
       return callback.onSuccess(this.signInUserSession);
     });
+    return undefined;
+  }
+
+  /**
+   * This is used by the user to choose the MFA type when several are enabled
+   * @param {string} answerChallenge SMS_MFA or SOFTWARE_TOKEN_MFA.
+   * @param {object} callback Result callback map.
+   * @param {onFailure} callback.onFailure Called on any error.
+   * @param {mfaRequired} callback.mfaRequired SMS code required to continue.
+   * @param {totpRequired} callback.totpRequired Authenticator app code required to continue.
+   * @returns {void}
+   */
+  sendMFASelectionAnswer(answerChallenge, callback) {
+    try {
+      this.signInState.assertState('SELECT_MFA_TYPE');
+    } catch (err) {
+      return callback.onFailure(err);
+    }
+
+    const challengeResponses = {};
+    challengeResponses.USERNAME = this.username;
+    challengeResponses.ANSWER = answerChallenge;
+    challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
+
+    this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+      ChallengeName: 'SELECT_MFA_TYPE',
+      ChallengeResponses: challengeResponses,
+      ClientId: this.pool.getClientId(),
+      Session: this.Session,
+    }, (err, data) => {
+      if (err) {
+        return callback.onFailure(err);
+      }
+
+      const challengeName = data.ChallengeName;
+
+      if (challengeName === 'SMS_MFA') {
+        return this.signInStep(challengeName, data, callback, 'mfaRequired',
+          challengeName, data.ChallengeParameters);
+      }
+      if (challengeName === 'SOFTWARE_TOKEN_MFA') {
+        return this.signInStep(challengeName, data, callback, 'totpRequired',
+          challengeName, data.ChallengeParameters);
+      }
+      return callback.onFailure(new ChallengeRequiredError(
+        `Unexpected sign-in challenge ${challengeName}.`, challengeName, data.ChallengeParameters));
+    });
+    return undefined;
   }
 
   /**
@@ -553,19 +1129,33 @@ export default class CognitoUser {
    * @param {object} callback Result callback map.
    * @param {onFailure} callback.onFailure Called on any error.
    * @param {authSuccess} callback.onSuccess Called on success with the new session.
+   * @param {string=} mfaType SMS_MFA or SOFTWARE_TOKEN_MFA, defaults to the pending challenge.
    * @returns {void}
    */
-  sendMFACode(confirmationCode, callback) {
+  sendMFACode(confirmationCode, callback, mfaType) {
+    const challengeName = mfaType ||
+      (this.signInState.getState() === 'SOFTWARE_TOKEN_MFA' ? 'SOFTWARE_TOKEN_MFA' : 'SMS_MFA');
+    try {
+      this.signInState.assertState(challengeName);
+    } catch (err) {
+      return callback.onFailure(err);
+    }
+
     const challengeResponses = {};
     challengeResponses.USERNAME = this.username;
-    challengeResponses.SMS_MFA_CODE = confirmationCode;
+    if (challengeName === 'SOFTWARE_TOKEN_MFA') {
+      challengeResponses.SOFTWARE_TOKEN_MFA_CODE = confirmationCode;
+    } else {
+      challengeResponses.SMS_MFA_CODE = confirmationCode;
+    }
 
     if (this.deviceKey != null) {
       challengeResponses.DEVICE_KEY = this.deviceKey;
     }
+    challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
 
     this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
-      ChallengeName: 'SMS_MFA',
+      ChallengeName: challengeName,
       ChallengeResponses: challengeResponses,
       ClientId: this.pool.getClientId(),
       Session: this.Session,
@@ -574,61 +1164,36 @@ export default class CognitoUser {
         return callback.onFailure(err);
       }
 
-      const challengeName = dataAuthenticate.ChallengeName;
+      const nextChallengeName = dataAuthenticate.ChallengeName;
 
-      if (challengeName === 'DEVICE_SRP_AUTH') {
+      if (nextChallengeName === 'DEVICE_SRP_AUTH') {
+        try {
+          this.transitionSignInState(nextChallengeName, dataAuthenticate);
+        } catch (errState) {
+          return callback.onFailure(errState);
+        }
         this.getDeviceResponse(callback);
         return undefined;
       }
+      if (nextChallengeName) {
+        return callback.onFailure(
+          new ChallengeRequiredError(`Unexpected sign-in challenge ${nextChallengeName}.`,
+            nextChallengeName, dataAuthenticate.ChallengeParameters));
+      }
 
-      this.signInUserSession = this.getCognitoUserSession(dataAuthenticate.AuthenticationResult);
-      this.cacheTokens();
+      if (!this.completeSignIn(dataAuthenticate, callback)) {
+        return undefined;
+      }
 
       if (dataAuthenticate.AuthenticationResult.NewDeviceMetadata == null) {
         return callback.onSuccess(this.signInUserSession);
       }
 
-      const authenticationHelper = new AuthenticationHelper(
+      const authenticationHelper = this.createAuthenticationHelper(
         this.pool.getUserPoolId().split('_')[1]);
-      authenticationHelper.generateHashDevice(
-        dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceGroupKey,
-        dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey);
-
-      const deviceSecretVerifierConfig = {
-        Salt: new util.Buffer(
-            authenticationHelper.getSaltDevices(), 'hex'
-          ).toString('base64'),
-        PasswordVerifier: new util.Buffer(
-            authenticationHelper.getVerifierDevices(), 'hex'
-          ).toString('base64'),
-      };
-
-      this.verifierDevices = deviceSecretVerifierConfig.PasswordVerifier;
-      this.deviceGroupKey = dataAuthenticate.AuthenticationResult
-        .NewDeviceMetadata.DeviceGroupKey;
-      this.randomPassword = authenticationHelper.getRandomPassword();
-
-      this.client.makeUnauthenticatedRequest('confirmDevice', {
-        DeviceKey: dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey,
-        AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
-        DeviceSecretVerifierConfig: deviceSecretVerifierConfig,
-        DeviceName: navigator.userAgent,
-      }, (errConfirm, dataConfirm) => {
-        if (errConfirm) {
-          return callback.onFailure(errConfirm);
-        }
-
-        this.deviceKey = dataAuthenticate.AuthenticationResult.NewDeviceMetadata.DeviceKey;
-        this.cacheDeviceKeyAndPassword();
-        if (dataConfirm.UserConfirmationNecessary === true) {
-          return callback.onSuccess(
-            this.signInUserSession,
-            dataConfirm.UserConfirmationNecessary);
-        }
-        return callback.onSuccess(this.signInUserSession);
-      });
-      return undefined;
+      return this.confirmNewDevice(dataAuthenticate, authenticationHelper, callback);
     });
+    return undefined;
   }
 
   /**
@@ -640,7 +1205,7 @@ export default class CognitoUser {
    */
   changePassword(oldUserPassword, newUserPassword, callback) {
     if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('changePassword', {
@@ -663,7 +1228,7 @@ export default class CognitoUser {
    */
   enableMFA(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     const mfaOptions = [];
@@ -692,7 +1257,7 @@ export default class CognitoUser {
    */
   disableMFA(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     const mfaOptions = [];
@@ -710,6 +1275,146 @@ export default class CognitoUser {
   }
 
 
+  /**
+   * @typedef {object} SoftwareTokenAssociation
+   * @property {string} secretCode The shared secret to enter in the authenticator app.
+   * @property {string} otpauthUri The secret as an otpauth:// URI, usually shown as a QR code.
+   */
+  /**
+   * This is used to start setting up an authenticator app, either by an authenticated user
+   * or while answering the MFA_SETUP challenge during sign-in
+   * @param {string=} issuer Application name shown by the authenticator app.
+   * @param {object} callback Result callback map.
+   * @param {onFailure} callback.onFailure Called on any error.
+   * @param {onSuccess<SoftwareTokenAssociation>} callback.onSuccess Called on success.
+   * @returns {void}
+   */
+  associateSoftwareToken(issuer, callback) {
+    const params = {};
+    if (this.signInState.getState() === 'MFA_SETUP') {
+      params.Session = this.Session;
+    } else if (this.signInUserSession != null && this.signInUserSession.isValid()) {
+      params.AccessToken = this.signInUserSession.getAccessToken().getJwtToken();
+    } else {
+      return callback.onFailure(new NotAuthenticatedError());
+    }
+
+    this.client.makeUnauthenticatedRequest('associateSoftwareToken', params, (err, data) => {
+      if (err) {
+        return callback.onFailure(err);
+      }
+
+      if (data.Session) {
+        try {
+          this.transitionSignInState('MFA_SETUP', data);
+        } catch (errState) {
+          return callback.onFailure(errState);
+        }
+      }
+
+      const label = issuer ?
+        `${encodeURIComponent(issuer)}:${encodeURIComponent(this.username)}` :
+        encodeURIComponent(this.username);
+      let otpauthUri = `otpauth://totp/${label}?secret=${data.SecretCode}`;
+      if (issuer) {
+        otpauthUri += `&issuer=${encodeURIComponent(issuer)}`;
+      }
+
+      return callback.onSuccess({
+        secretCode: data.SecretCode,
+        otpauthUri,
+      });
+    });
+    return undefined;
+  }
+
+  /**
+   * This is used to verify the first code of the authenticator app set up by
+   * associateSoftwareToken. During the MFA_SETUP challenge, it also completes the sign-in.
+   * @param {string} totpCode Code shown by the authenticator app.
+   * @param {string=} friendlyDeviceName Name to remember the authenticator app by.
+   * @param {object} callback Result callback map.
+   * @param {onFailure} callback.onFailure Called on any error.
+   * @param {onSuccess<*>} callback.onSuccess Called on success, with the new session
+   *        when completing the sign-in.
+   * @returns {void}
+   */
+  verifySoftwareToken(totpCode, friendlyDeviceName, callback) {
+    if (this.signInState.getState() !== 'MFA_SETUP') {
+      if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
+        return callback.onFailure(new NotAuthenticatedError());
+      }
+
+      this.client.makeUnauthenticatedRequest('verifySoftwareToken', {
+        AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+        UserCode: totpCode,
+        FriendlyDeviceName: friendlyDeviceName,
+      }, (err, data) => {
+        if (err) {
+          return callback.onFailure(err);
+        }
+        return callback.onSuccess(data);
+      });
+      return undefined;
+    }
+
+    this.client.makeUnauthenticatedRequest('verifySoftwareToken', {
+      Session: this.Session,
+      UserCode: totpCode,
+      FriendlyDeviceName: friendlyDeviceName,
+    }, (err, data) => {
+      if (err) {
+        return callback.onFailure(err);
+      }
+
+      const challengeResponses = {};
+      challengeResponses.USERNAME = this.username;
+      challengeResponses.SECRET_HASH = this.pool.getSecretHash(this.username);
+
+      this.client.makeUnauthenticatedRequest('respondToAuthChallenge', {
+        ChallengeName: 'MFA_SETUP',
+        ChallengeResponses: challengeResponses,
+        ClientId: this.pool.getClientId(),
+        Session: data.Session,
+      }, (errAuthenticate, dataAuthenticate) => {
+        if (errAuthenticate) {
+          return callback.onFailure(errAuthenticate);
+        }
+
+        const authenticationHelper = this.createAuthenticationHelper(
+          this.pool.getUserPoolId().split('_')[1]);
+        return this.authenticateUserInternal(dataAuthenticate, authenticationHelper, callback);
+      });
+      return undefined;
+    });
+    return undefined;
+  }
+
+  /**
+   * This is used by an authenticated user to choose which MFA types are enabled and preferred
+   * @param {object} smsMfaSettings SMS MFA settings, e.g. { Enabled: true, PreferredMfa: false }.
+   * @param {object} softwareTokenMfaSettings Authenticator app MFA settings.
+   * @param {nodeCallback<string>} callback Called on success or error.
+   * @returns {void}
+   */
+  setUserMfaPreference(smsMfaSettings, softwareTokenMfaSettings, callback) {
+    if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
+      return callback(new NotAuthenticatedError(), null);
+    }
+
+    this.client.makeUnauthenticatedRequest('setUserMFAPreference', {
+      SMSMfaSettings: smsMfaSettings,
+      SoftwareTokenMfaSettings: softwareTokenMfaSettings,
+      AccessToken: this.signInUserSession.getAccessToken().getJwtToken(),
+    }, err => {
+      if (err) {
+        return callback(err, null);
+      }
+      return callback(null, 'SUCCESS');
+    });
+    return undefined;
+  }
+
   /**
    * This is used by an authenticated user to delete himself
    * @param {nodeCallback<string>} callback Called on success or error.
@@ -717,7 +1422,7 @@ export default class CognitoUser {
    */
   deleteUser(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('deleteUser', {
@@ -743,7 +1448,7 @@ export default class CognitoUser {
    */
   updateAttributes(attributes, callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('updateUserAttributes', {
@@ -765,7 +1470,7 @@ export default class CognitoUser {
    */
   getUserAttributes(callback) {
     if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('getUser', {
@@ -798,7 +1503,7 @@ export default class CognitoUser {
    */
   getMFAOptions(callback) {
     if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('getUser', {
@@ -821,7 +1526,7 @@ export default class CognitoUser {
    */
   deleteAttributes(attributeList, callback) {
     if (!(this.signInUserSession != null && this.signInUserSession.isValid())) {
-      return callback(new Error('User is not authenticated'), null);
+      return callback(new NotAuthenticatedError(), null);
     }
 
     this.client.makeUnauthenticatedRequest('deleteUserAttributes', {
@@ -845,6 +1550,7 @@ export default class CognitoUser {
     this.client.makeUnauthenticatedRequest('resendConfirmationCode', {
       ClientId: this.pool.getClientId(),
       Username: this.username,
+      SecretHash: this.pool.getSecretHash(this.username),
     }, (err, result) => {
       if (err) {
         return callback(err, null);
@@ -862,47 +1568,37 @@ export default class CognitoUser {
    */
   getSession(callback) {
     if (this.username == null) {
-      return callback(new Error('Username is null. Cannot retrieve a new session'), null);
-    }
-
-    if (this.signInUserSession != null && this.signInUserSession.isValid()) {
-      return callback(null, this.signInUserSession);
+      return callback(
+        new NotAuthenticatedError('Username is null. Cannot retrieve a new session'), null);
     }
 
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
     const idTokenKey = `${keyPrefix}.idToken`;
-    const accessTokenKey = `${keyPrefix}.accessToken`;
-    const refreshTokenKey = `${keyPrefix}.refreshToken`;
 
-    if (this.storage.getItem(idTokenKey)) {
-      const idToken = new CognitoIdToken({
-        IdToken: this.storage.getItem(idTokenKey),
-      });
-      const accessToken = new CognitoAccessToken({
-        AccessToken: this.storage.getItem(accessTokenKey),
-      });
-      const refreshToken = new CognitoRefreshToken({
-        RefreshToken: this.storage.getItem(refreshTokenKey),
-      });
+    // Tokens missing from the storage mean the user signed out, possibly in another tab
+    if (this.signInUserSession != null && this.signInUserSession.isValid() &&
+      this.storage.getItem(idTokenKey)) {
+      return callback(null, this.signInUserSession);
+    }
 
-      const sessionData = {
-        IdToken: idToken,
-        AccessToken: accessToken,
-        RefreshToken: refreshToken,
-      };
-      const cachedSession = new CognitoUserSession(sessionData);
+    const cachedSession = this.getCachedSession();
+    if (cachedSession != null) {
+      const refreshToken = cachedSession.getRefreshToken();
       if (cachedSession.isValid()) {
         this.signInUserSession = cachedSession;
         return callback(null, this.signInUserSession);
       }
 
       if (refreshToken.getToken() == null) {
-        return callback(new Error('Cannot retrieve a new session. Please authenticate.'), null);
+        return callback(
+          new SessionExpiredError('Cannot retrieve a new session. Please authenticate.'), null);
       }
 
       this.refreshSession(refreshToken, callback);
     } else {
-      callback(new Error('Local storage is missing an ID Token, Please authenticate'), null);
+      callback(
+        new NotAuthenticatedError('Local storage is missing an ID Token, Please authenticate'),
+        null);
     }
 
     return undefined;
@@ -910,23 +1606,157 @@ export default class CognitoUser {
 
 
   /**
-   * This uses the refreshToken to retrieve a new session
+   * This is used to build a session from the tokens in local storage
+   * @returns {CognitoUserSession} the cached session, or null if no tokens are cached
+   * @private
+   */
+  getCachedSession() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    const idTokenKey = `${keyPrefix}.idToken`;
+    const accessTokenKey = `${keyPrefix}.accessToken`;
+    const refreshTokenKey = `${keyPrefix}.refreshToken`;
+    const clockDriftKey = `${keyPrefix}.clockDrift`;
+
+    if (!this.storage.getItem(idTokenKey)) {
+      return null;
+    }
+
+    const idToken = new CognitoIdToken({
+      IdToken: this.storage.getItem(idTokenKey),
+    });
+    const accessToken = new CognitoAccessToken({
+      AccessToken: this.storage.getItem(accessTokenKey),
+    });
+    const refreshToken = new CognitoRefreshToken({
+      RefreshToken: this.storage.getItem(refreshTokenKey),
+    });
+
+    const sessionData = {
+      IdToken: idToken,
+      AccessToken: accessToken,
+      RefreshToken: refreshToken,
+      ClockDrift: parseInt(this.storage.getItem(clockDriftKey), 10) || 0,
+      RefreshMargin: this.pool.getRefreshMargin(),
+    };
+    return new CognitoUserSession(sessionData);
+  }
+
+  /**
+   * This is used to get a session like getSession, after loading the items of an
+   * asynchronous storage such as AsyncStorageCache
+   *
+   * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
+   * @returns {void}
+   */
+  getSessionAsync(callback) {
+    StorageHelper.sync(this.storage, err => (
+      err ? callback(err, null) : this.getSession(callback)));
+  }
+
+  /**
+   * This uses the refreshToken to retrieve a new session. Concurrent calls with the same
+   * refresh token share a single request, and a storage lock lets only one browser tab
+   * refresh at a time while the others wait for its tokens.
    * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
    * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
    * @returns {void}
    */
   refreshSession(refreshToken, callback) {
+    const token = refreshToken.getToken();
+    const pendingRefreshes = this.pool.pendingRefreshes;
+    const done = (err, session) => {
+      if (!err) {
+        this.signInUserSession = session;
+      }
+      callback(err, session);
+    };
+
+    if (Object.prototype.hasOwnProperty.call(pendingRefreshes, token)) {
+      pendingRefreshes[token].push(done);
+      return undefined;
+    }
+
+    pendingRefreshes[token] = [done];
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    const lock = new StorageLock(this.storage, `${keyPrefix}.refreshLock`);
+    const previousAccessToken = this.getCachedAccessToken();
+    const deadline = Date.now() + refreshLockTimeout;
+    const refreshed = (err, session) => {
+      const callbacks = pendingRefreshes[token];
+      delete pendingRefreshes[token];
+      callbacks.forEach(pendingCallback => pendingCallback(err, session));
+    };
+    this.refreshSessionWithLock(refreshToken, lock, previousAccessToken, deadline, refreshed);
+    return undefined;
+  }
+
+  /**
+   * @returns {string} the access token cached for this user, if any
+   * @private
+   */
+  getCachedAccessToken() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}`;
+    return this.storage.getItem(`${keyPrefix}.accessToken`);
+  }
+
+  /**
+   * Refreshes the session when the refresh lock is free. Otherwise waits for the tab
+   * holding the lock to cache new tokens, or to release the lock without doing so, until
+   * the deadline.
+   * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+   * @param {StorageLock} lock The refresh lock shared by the tabs.
+   * @param {string} previousAccessToken The cached access token being replaced.
+   * @param {number} deadline Time in milliseconds after which waiting fails.
+   * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
+   * @returns {void}
+   * @private
+   */
+  refreshSessionWithLock(refreshToken, lock, previousAccessToken, deadline, callback) {
+    const accessToken = this.getCachedAccessToken();
+    if (accessToken && accessToken !== previousAccessToken) {
+      const session = this.getCachedSession();
+      if (session != null && session.isValid()) {
+        return callback(null, session);
+      }
+    }
+
+    lock.acquire(acquired => {
+      if (acquired) {
+        this.requestRefreshSession(refreshToken, (err, session) => {
+          lock.release();
+          callback(err, session);
+        });
+        return;
+      }
+      if (Date.now() >= deadline) {
+        callback(new CognitoError('Timed out waiting for another tab to refresh the session.',
+          'RefreshLockTimeout'), null);
+        return;
+      }
+      setTimeout(() => this.refreshSessionWithLock(
+        refreshToken, lock, previousAccessToken, deadline, callback), refreshLockPollInterval);
+    });
+    return undefined;
+  }
+
+  /**
+   * This sends the REFRESH_TOKEN_AUTH request and caches the new session
+   * @param {CognitoRefreshToken} refreshToken A previous session's refresh token.
+   * @param {nodeCallback<CognitoUserSession>} callback Called on success or error.
+   * @returns {void}
+   * @private
+   */
+  requestRefreshSession(refreshToken, callback) {
     const authParameters = {};
     authParameters.REFRESH_TOKEN = refreshToken.getToken();
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
-    const lastUserKey = `${keyPrefix}.LastAuthUser`;
+    const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
 
-    if (this.storage.getItem(lastUserKey)) {
-      this.username = this.storage.getItem(lastUserKey);
-      const deviceKeyKey = `${keyPrefix}.${this.username}.deviceKey`;
+    if (this.storage.getItem(deviceKeyKey)) {
       this.deviceKey = this.storage.getItem(deviceKeyKey);
       authParameters.DEVICE_KEY = this.deviceKey;
     }
+    authParameters.SECRET_HASH = this.pool.getSecretHash(this.username);
 
     this.client.makeUnauthenticatedRequest('initiateAuth', {
       ClientId: this.pool.getClientId(),
@@ -934,8 +1764,10 @@ export default class CognitoUser {
       AuthParameters: authParameters,
     }, (err, authResult) => {
       if (err) {
+        // The refresh token expired or was revoked
         if (err.code === 'NotAuthorizedException') {
           this.clearCachedTokens();
+          return callback(new SessionExpiredError(err.message, err), null);
         }
         return callback(err, null);
       }
@@ -945,7 +1777,9 @@ export default class CognitoUser {
           authenticationResult.RefreshToken = refreshToken.getToken();
         }
         this.signInUserSession = this.getCognitoUserSession(authenticationResult);
-        this.cacheTokens();
+        // Refreshing the tokens of a user does not make it the active user
+        this.cacheSessionTokens();
+        this.pool.notifyAuthStateChange('tokenRefresh', this);
         return callback(null, this.signInUserSession);
       }
       return undefined;
@@ -953,20 +1787,60 @@ export default class CognitoUser {
   }
 
   /**
-   * This is used to save the session tokens to local storage
+   * This is used to save the session tokens to local storage, and make this user
+   * the active user returned by getCurrentUser
    * @returns {void}
    */
   cacheTokens() {
+    const lastUserKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.LastAuthUser`;
+
+    this.cacheSessionTokens();
+    this.storage.setItem(lastUserKey, this.username);
+  }
+
+  /**
+   * This is used to save the session tokens to local storage, and list this user
+   * among the users with cached tokens
+   * @returns {void}
+   * @private
+   */
+  cacheSessionTokens() {
     const keyPrefix = `CognitoIdentityServiceProvider.${this.pool.getClientId()}`;
     const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
-    const lastUserKey = `${keyPrefix}.LastAuthUser`;
+    const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
 
     this.storage.setItem(idTokenKey, this.signInUserSession.getIdToken().getJwtToken());
     this.storage.setItem(accessTokenKey, this.signInUserSession.getAccessToken().getJwtToken());
     this.storage.setItem(refreshTokenKey, this.signInUserSession.getRefreshToken().getToken());
-    this.storage.setItem(lastUserKey, this.username);
+    this.storage.setItem(clockDriftKey, `${this.signInUserSession.getClockDrift()}`);
+    this.updateCachedUsers(true);
+  }
+
+  /**
+   * This is used to add this user to, or remove it from, the list of users with cached
+   * tokens, which is ordered from the least to the most recently signed in user
+   * @param {bool} cached If the tokens of the user are cached.
+   * @returns {string[]} the usernames of the list
+   * @private
+   */
+  updateCachedUsers(cached) {
+    const authUsersKey = `CognitoIdentityServiceProvider.${this.pool.getClientId()}.AuthUsers`;
+
+    let usernames;
+    try {
+      usernames = JSON.parse(this.storage.getItem(authUsersKey) || '[]');
+    } catch (err) {
+      usernames = [];
+    }
+    usernames = usernames.filter(username => username !== this.username);
+    if (cached) {
+      usernames.push(this.username);
+    }
+
+    this.storage.setItem(authUsersKey, JSON.stringify(usernames));
+    return usernames;
   }
 
   /**
@@ -1002,7 +1876,21 @@ export default class CognitoUser {
   }
 
   /**
-   * This is used to clear the device key info from local storage
+   * Loads the remembered device of the user from local storage when needed
+   * @returns {DeviceNotFoundError} the error to report if no device is remembered
+   * @private
+   */
+  checkDeviceKey() {
+    if (this.deviceKey == null) {
+      this.getCachedDeviceKeyAndPassword();
+    }
+    return this.deviceKey == null ?
+      new DeviceNotFoundError('No device is remembered for the user.') : null;
+  }
+
+  /**
+   * This is used to clear the device key info from local storage, with the decision to
+   * remember the device or not
    * @returns {void}
    */
   clearCachedDeviceKeyAndPassword() {
@@ -1010,14 +1898,16 @@ export default class CognitoUser {
     const deviceKeyKey = `${keyPrefix}.deviceKey`;
     const randomPasswordKey = `${keyPrefix}.randomPasswordKey`;
     const deviceGroupKeyKey = `${keyPrefix}.deviceGroupKey`;
+    const deviceRememberingKey = `${keyPrefix}.deviceRemembering`;
 
     this.storage.removeItem(deviceKeyKey);
     this.storage.removeItem(randomPasswordKey);
     this.storage.removeItem(deviceGroupKeyKey);
+    this.storage.removeItem(deviceRememberingKey);
   }
 
   /**
-   * This is used to clear the session tokens from local storage
+   * This is used to clear the session tokens of this user from local storage
    * @returns {void}
    */
   clearCachedTokens() {
@@ -1025,12 +1915,25 @@ export default class CognitoUser {
     const idTokenKey = `${keyPrefix}.${this.username}.idToken`;
     const accessTokenKey = `${keyPrefix}.${this.username}.accessToken`;
     const refreshTokenKey = `${keyPrefix}.${this.username}.refreshToken`;
+    const clockDriftKey = `${keyPrefix}.${this.username}.clockDrift`;
     const lastUserKey = `${keyPrefix}.LastAuthUser`;
 
     this.storage.removeItem(idTokenKey);
     this.storage.removeItem(accessTokenKey);
     this.storage.removeItem(refreshTokenKey);
-    this.storage.removeItem(lastUserKey);
+    this.storage.removeItem(clockDriftKey);
+
+    // The other signed in users stay signed in, the most recent one becomes active
+    const otherUsernames = this.updateCachedUsers(false).filter(username =>
+      this.storage.getItem(`${keyPrefix}.${username}.idToken`));
+    if (this.storage.getItem(lastUserKey) === this.username) {
+      if (otherUsernames.length > 0) {
+        this.storage.setItem(lastUserKey, otherUsernames[otherUsernames.length - 1]);
+      } else {
+        this.storage.removeItem(lastUserKey);
+      }
+    }
+    this.pool.notifyAuthStateChange('signOut', this);
   }
 
   /**
@@ -1048,6 +1951,8 @@ export default class CognitoUser {
       IdToken: idToken,
       AccessToken: accessToken,
       RefreshToken: refreshToken,
+      ClockDrift: CognitoUserSession.calculateClockDrift(idToken, accessToken),
+      RefreshMargin: this.pool.getRefreshMargin(),
     };
 
     return new CognitoUserSession(sessionData);
@@ -1066,6 +1971,7 @@ export default class CognitoUser {
     this.client.makeUnauthenticatedRequest('forgotPassword', {
       ClientId: this.pool.getClientId(),
       Username: this.username,
+      SecretHash: this.pool.getSecretHash(this.username),
     }, (err, data) => {
       if (err) {
         return callback.onFailure(err);
@@ -1092,6 +1998,7 @@ export default class CognitoUser {
       Username: this.username,
       ConfirmationCode: confirmationCode,
       Password: newPassword,
+      SecretHash: this.pool.getSecretHash(this.username),
     }, err => {
       if (err) {
         return callback.onFailure(err);
@@ -1110,7 +2017,7 @@ export default class CognitoUser {
    */
   getAttributeVerificationCode(attributeName, callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
     }
 
     this.client.makeUnauthenticatedRequest('getUserAttributeVerificationCode', {
@@ -1139,7 +2046,7 @@ export default class CognitoUser {
    */
   verifyAttribute(attributeName, confirmationCode, callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
     }
 
     this.client.makeUnauthenticatedRequest('verifyUserAttribute', {
@@ -1164,7 +2071,11 @@ export default class CognitoUser {
    */
   getDevice(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
+    }
+    const deviceError = this.checkDeviceKey();
+    if (deviceError) {
+      return callback.onFailure(deviceError);
     }
 
     this.client.makeUnauthenticatedRequest('getDevice', {
@@ -1189,7 +2100,7 @@ export default class CognitoUser {
    */
   forgetSpecificDevice(deviceKey, callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
     }
 
     this.client.makeUnauthenticatedRequest('forgetDevice', {
@@ -1212,6 +2123,11 @@ export default class CognitoUser {
    * @returns {void}
    */
   forgetDevice(callback) {
+    const deviceError = this.checkDeviceKey();
+    if (deviceError) {
+      return callback.onFailure(deviceError);
+    }
+
     this.forgetSpecificDevice(this.deviceKey, {
       onFailure: callback.onFailure,
       onSuccess: result => {
@@ -1222,6 +2138,7 @@ export default class CognitoUser {
         return callback.onSuccess(result);
       },
     });
+    return undefined;
   }
 
   /**
@@ -1233,7 +2150,11 @@ export default class CognitoUser {
    */
   setDeviceStatusRemembered(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
+    }
+    const deviceError = this.checkDeviceKey();
+    if (deviceError) {
+      return callback.onFailure(deviceError);
     }
 
     this.client.makeUnauthenticatedRequest('updateDeviceStatus', {
@@ -1258,7 +2179,11 @@ export default class CognitoUser {
    */
   setDeviceStatusNotRemembered(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
+    }
+    const deviceError = this.checkDeviceKey();
+    if (deviceError) {
+      return callback.onFailure(deviceError);
     }
 
     this.client.makeUnauthenticatedRequest('updateDeviceStatus', {
@@ -1286,7 +2211,7 @@ export default class CognitoUser {
    */
   listDevices(limit, paginationToken, callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
     }
 
     this.client.makeUnauthenticatedRequest('listDevices', {
@@ -1311,7 +2236,7 @@ export default class CognitoUser {
    */
   globalSignOut(callback) {
     if (this.signInUserSession == null || !this.signInUserSession.isValid()) {
-      return callback.onFailure(new Error('User is not authenticated'));
+      return callback.onFailure(new NotAuthenticatedError());
     }
 
     this.client.makeUnauthenticatedRequest('globalSignOut', {
@@ -1328,10 +2253,100 @@ export default class CognitoUser {
 
   /**
    * This is used for the user to signOut of the application and clear the cached tokens.
+   * With revokeToken, the refresh token is also revoked, so that it cannot be used
+   * anymore if it leaked. See CognitoUserPool.revokeRefreshToken.
+   * The pending sign-in of the user, if any, is forgotten. Like the other methods, it
+   * returns a promise when the callback is omitted, which never rejects.
+   * @param {object=} options Sign out options.
+   * @param {bool=} options.revokeToken Revoke the refresh token of the session.
+   * @param {nodeCallback<RevocationResult>=} callback Called with the revocation result,
+   *        never with an error: failed revocations are reported in the result.
    * @returns {void}
    */
-  signOut() {
+  signOut(options, callback) {
+    const { revokeToken } = options || {};
+    const refreshTokenKey =
+      `CognitoIdentityServiceProvider.${this.pool.getClientId()}.${this.username}.refreshToken`;
+    const refreshToken = this.signInUserSession ?
+      this.signInUserSession.getRefreshToken().getToken() :
+      this.storage.getItem(refreshTokenKey);
+
+    this.stopTokenRefresher();
     this.signInUserSession = null;
     this.clearCachedTokens();
+    this.resetSignInState();
+
+    if (!revokeToken || !refreshToken) {
+      callback(null, { revoked: false, queued: false });
+      return;
+    }
+    this.pool.revokeRefreshToken(refreshToken, callback);
+  }
+
+  /**
+   * This is used to refresh the session in the background shortly before its tokens
+   * expire. The refresher emits tokenRefreshed, refreshFailed and sessionExpired events.
+   * @param {object=} options Refresh options, see TokenRefresher.
+   * @returns {TokenRefresher} The started refresher.
+   */
+  startTokenRefresher(options) {
+    if (this.tokenRefresher == null) {
+      this.tokenRefresher = new TokenRefresher(this, options);
+    }
+    this.tokenRefresher.start();
+    return this.tokenRefresher;
+  }
+
+  /**
+   * This is used to stop refreshing the session in the background
+   * @returns {void}
+   */
+  stopTokenRefresher() {
+    if (this.tokenRefresher != null) {
+      this.tokenRefresher.stop();
+    }
   }
 }
+
+PromiseHelper.enablePromises(CognitoUser.prototype, {
+  nodeCallback: {
+    confirmRegistration: 2,
+    changePassword: 2,
+    enableMFA: 0,
+    disableMFA: 0,
+    setUserMfaPreference: 2,
+    deleteUser: 0,
+    updateAttributes: 1,
+    getUserAttributes: 0,
+    getMFAOptions: 0,
+    deleteAttributes: 1,
+    resendConfirmationCode: 0,
+    getSession: 0,
+    getSessionAsync: 0,
+    refreshSession: 1,
+    signOut: 1,
+  },
+  callbackMap: {
+    associateSoftwareToken: 1,
+    verifySoftwareToken: 2,
+    forgotPassword: 0,
+    confirmPassword: 2,
+    getAttributeVerificationCode: 1,
+    verifyAttribute: 2,
+    getDevice: 0,
+    forgetSpecificDevice: 1,
+    forgetDevice: 0,
+    setDeviceStatusRemembered: 0,
+    setDeviceStatusNotRemembered: 0,
+    listDevices: 2,
+    globalSignOut: 0,
+  },
+  signInStep: {
+    initiateAuth: 1,
+    authenticateUser: 1,
+    completeNewPasswordChallenge: 2,
+    sendCustomChallengeAnswer: 1,
+    sendMFACode: 1,
+    sendMFASelectionAnswer: 1,
+  },
+});
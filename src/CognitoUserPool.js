@@ -15,9 +15,17 @@
  * limitations under the License.
  */
 
-import CognitoIdentityServiceProvider from 'aws-sdk/clients/cognitoidentityserviceprovider';
+/* global AWS, AWSCognito */
 
+import { CognitoError, CognitoServiceError } from './CognitoErrors';
+import CognitoOAuthClient from './CognitoOAuthClient';
+import CognitoServiceClient from './CognitoServiceClient';
 import CognitoUser from './CognitoUser';
+import CryptoHelper from './CryptoHelper';
+import EventEmitter from './EventEmitter';
+import PromiseHelper from './PromiseHelper';
+import RequestPipeline from './RequestPipeline';
+import SrpWorker from './SrpWorker';
 import StorageHelper from './StorageHelper';
 
 /** @class */
@@ -27,10 +35,38 @@ export default class CognitoUserPool {
    * @param {object} data Creation options.
    * @param {string} data.UserPoolId Cognito user pool id.
    * @param {string} data.ClientId User pool application client id.
+   * @param {string=} data.ClientSecret Secret of a confidential app client. Only use it
+   *        where the secret cannot leak, such as on a server.
    * @param {object} data.Storage Optional storage object.
+   * @param {int=} data.RefreshMargin Seconds before the tokens expire from which sessions
+   *        are no longer valid, and get refreshed by getSession (default 0).
+   * @param {object=} data.OAuth Hosted UI options, see CognitoOAuthClient.
+   * @param {string|object=} data.transport How requests reach the service: aws-sdk (default)
+   *        for the CognitoIdentityServiceProvider client of the aws-sdk, http for the
+   *        lightweight CognitoServiceClient, or an object with the makeUnauthenticatedRequest
+   *        method of the aws-sdk clients.
+   * @param {string=} data.endpoint Overrides the endpoint of the service.
+   * @param {object=} data.requestOptions Retries, timeout and abort signal of the requests,
+   *        see RequestPipeline.
+   * @param {string|function=} data.srpBackend Implementation of the SRP math, see
+   *        AuthenticationHelper.getBigInteger (default auto).
+   * @param {bool|SrpWorker=} data.srpWorker Runs the SRP exponentiations of the sign-in in
+   *        a Web Worker or a worker thread: true for a worker shared by all pools, false
+   *        (default) to keep them on the main thread, or the SrpWorker to use.
+   * @param {string|function=} data.deviceName Name of the devices in the device lists of the
+   *        users, or a function of the user returning it. Defaults to a name built from the
+   *        user agent, such as "Chrome on macOS".
+   * @param {string|rememberDevice=} data.rememberDevice What to do with a device Cognito
+   *        sees for the first time during a sign-in: remember it, track it (list it in the
+   *        devices of the user without remembering it), or skip it. A function deciding
+   *        for each user is asked once per device. By default the device is confirmed and
+   *        its status is left to the settings of the user pool.
    */
   constructor(data) {
-    const { UserPoolId, ClientId, endpoint } = data || {};
+    const {
+      UserPoolId, ClientId, ClientSecret, RefreshMargin, OAuth, transport, endpoint,
+      requestOptions, srpBackend, srpWorker, deviceName, rememberDevice,
+    } = data || {};
     if (!UserPoolId || !ClientId) {
       throw new Error('Both UserPoolId and ClientId are required.');
     }
@@ -41,10 +77,81 @@ export default class CognitoUserPool {
 
     this.userPoolId = UserPoolId;
     this.clientId = ClientId;
+    this.clientSecret = ClientSecret;
+    this.refreshMargin = RefreshMargin || 0;
+    this.srpBackend = srpBackend || 'auto';
+    this.srpWorker = srpWorker || false;
+    this.deviceName = deviceName || null;
+    this.rememberDevice = rememberDevice || null;
 
-    this.client = new CognitoIdentityServiceProvider({ apiVersion: '2016-04-19', region, endpoint });
+    const client = CognitoUserPool.createClient(transport || 'aws-sdk', region, endpoint);
+    this.pipeline = new RequestPipeline(client, requestOptions);
+    // Every request goes through the pipeline, which reports errors as CognitoError
+    this.client = Object.create(client);
+    this.client.makeUnauthenticatedRequest = (operation, params, callback) =>
+      this.pipeline.send(operation, params, callback);
 
     this.storage = data.Storage || new StorageHelper().getStorage();
+    this.pendingRefreshes = {};
+    this.authStateEvents = new EventEmitter();
+    this.handleStorageEvent = event => this.onStorageEvent(event);
+    this.oauthClient = OAuth ? new CognitoOAuthClient(this, OAuth) : null;
+  }
+
+  /**
+   * Builds the client sending the requests to the service
+   * @param {string|object} transport The transport option.
+   * @param {string} region The region of the user pool.
+   * @param {string=} endpoint Overrides the endpoint of the service.
+   * @returns {object} the client
+   * @private
+   */
+  static createClient(transport, region, endpoint) {
+    if (typeof transport === 'object') {
+      return transport;
+    }
+    if (transport === 'http') {
+      return new CognitoServiceClient({ region, endpoint });
+    }
+    if (transport === 'aws-sdk') {
+      const ServiceClient = CognitoUserPool.getAwsSdkClientClass();
+      // The pipeline retries the requests
+      return new ServiceClient({
+        apiVersion: '2016-04-19', region, endpoint, maxRetries: 0,
+      });
+    }
+    throw new Error(`Unknown transport ${transport}.`);
+  }
+
+  /**
+   * Looks up the client of the aws-sdk when the aws-sdk transport is used, so that the
+   * other transports do not need the aws-sdk
+   * @returns {function} the CognitoIdentityServiceProvider class of the aws-sdk
+   * @throws {Error} if the aws-sdk is not available.
+   * @private
+   */
+  static getAwsSdkClientClass() {
+    if (typeof AWSCognito !== 'undefined' && AWSCognito.CognitoIdentityServiceProvider) {
+      return AWSCognito.CognitoIdentityServiceProvider;
+    }
+    if (typeof AWS !== 'undefined' && AWS.CognitoIdentityServiceProvider) {
+      return AWS.CognitoIdentityServiceProvider;
+    }
+    if (typeof module !== 'undefined' && typeof module.require === 'function') {
+      return module.require('aws-sdk/clients/cognitoidentityserviceprovider');
+    }
+    throw new Error('The aws-sdk transport needs the aws-sdk: pass a ' +
+      'CognitoIdentityServiceProvider client as transport, or use the http transport.');
+  }
+
+  /**
+   * This is used to add a middleware to the requests sent to the service, for instance
+   * to add headers, log, or answer requests without sending them
+   * @param {middleware} middleware The middleware, see RequestPipeline.
+   * @returns {function} Call it to remove the middleware.
+   */
+  use(middleware) {
+    return this.pipeline.use(middleware);
   }
 
   /**
@@ -61,6 +168,66 @@ export default class CognitoUserPool {
     return this.clientId;
   }
 
+  /**
+   * @returns {int} the seconds before expiration from which sessions are not valid
+   */
+  getRefreshMargin() {
+    return this.refreshMargin;
+  }
+
+  /**
+   * @returns {string|function} the implementation of the SRP math
+   */
+  getSrpBackend() {
+    return this.srpBackend;
+  }
+
+  /**
+   * @returns {string|function} the name of the devices, or the function returning it
+   */
+  getDeviceNameProvider() {
+    return this.deviceName;
+  }
+
+  /**
+   * @returns {string|function} what to do with new devices, or the function deciding it
+   */
+  getRememberDevicePolicy() {
+    return this.rememberDevice;
+  }
+
+  /**
+   * @returns {SrpWorker} the worker running the SRP exponentiations, or null to run
+   *          them on the main thread
+   */
+  getSrpWorker() {
+    if (this.srpWorker === true) {
+      return SrpWorker.isSupported() ? SrpWorker.getShared() : null;
+    }
+    return this.srpWorker || null;
+  }
+
+  /**
+   * @returns {CognitoOAuthClient} the hosted UI client, null without OAuth options
+   */
+  getOAuthClient() {
+    return this.oauthClient;
+  }
+
+  /**
+   * This is used to compute the SECRET_HASH required by app clients that have a client secret
+   * @param {string} username User the request is made for.
+   * @returns {string} the secret hash, or undefined when the app client has no secret
+   */
+  getSecretHash(username) {
+    if (!this.clientSecret) {
+      return undefined;
+    }
+
+    return CryptoHelper.hmacSha256(this.clientSecret, `${username}${this.clientId}`)
+      .toString('base64');
+  }
+
   /**
    * @typedef {object} SignUpResult
    * @property {CognitoUser} user New user.
@@ -72,8 +239,8 @@ export default class CognitoUserPool {
    * @param {string} password Plain-text initial password entered by user.
    * @param {(AttributeArg[])=} userAttributes New user attributes.
    * @param {(AttributeArg[])=} validationData Application metadata.
-   * @param {nodeCallback<SignUpResult>} callback Called on error or with the new user.
-   * @returns {void}
+   * @param {nodeCallback<SignUpResult>=} callback Called on error or with the new user.
+   * @returns {void|Promise<SignUpResult>} A promise when no callback is passed.
    */
   signUp(username, password, userAttributes, validationData, callback) {
     this.client.makeUnauthenticatedRequest('signUp', {
@@ -82,6 +249,7 @@ export default class CognitoUserPool {
       Password: password,
       UserAttributes: userAttributes,
       ValidationData: validationData,
+      SecretHash: this.getSecretHash(username),
     }, (err, data) => {
       if (err) {
         return callback(err, null);
@@ -125,4 +293,351 @@ export default class CognitoUserPool {
 
     return null;
   }
+
+  /**
+   * @typedef {object} AuthStateChange
+   * @property {string} event What happened: signIn, signOut, tokenRefresh or userSwitch.
+   * @property {CognitoUser} user The user concerned. For changes made in another tab,
+   *           a new user object, whose session is read from the storage by getSession.
+   * @property {bool} crossTab If the change was made in another browser tab.
+   */
+  /**
+   * This is used to be notified when a user of this pool signs in, signs out, gets new
+   * tokens or becomes the current user, in this tab or in another tab sharing the same
+   * local storage
+   * @param {function(AuthStateChange)} listener Called with each change.
+   * @returns {function} Call it to stop listening.
+   */
+  onAuthStateChange(listener) {
+    if (this.authStateEvents.listenerCount('change') === 0 &&
+      typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+    this.authStateEvents.on('change', listener);
+
+    return () => {
+      this.authStateEvents.off('change', listener);
+      if (this.authStateEvents.listenerCount('change') === 0 &&
+        typeof window !== 'undefined' && window.removeEventListener) {
+        window.removeEventListener('storage', this.handleStorageEvent);
+      }
+    };
+  }
+
+  /**
+   * This is used by users of the pool to report a change of their authentication state
+   * to the listeners of this tab, and through the storage to the other tabs
+   * @param {string} event What happened: signIn, signOut, tokenRefresh or userSwitch.
+   * @param {CognitoUser} user The user concerned.
+   * @returns {void}
+   * @private
+   */
+  notifyAuthStateChange(event, user) {
+    const authEventKey = `CognitoIdentityServiceProvider.${this.clientId}.AuthEvent`;
+    const username = user.getUsername();
+
+    this.storage.setItem(authEventKey, JSON.stringify({ event, username, time: Date.now() }));
+    this.authStateEvents.emit('change', { event, user, crossTab: false });
+  }
+
+  /**
+   * Turns the authentication changes written to the local storage by other tabs
+   * into notifications. The storage of the pool may wrap the local storage, as
+   * EncryptedStorage does, so the events are matched by key rather than by storage.
+   * @param {StorageEvent} storageEvent The storage change.
+   * @returns {void}
+   * @private
+   */
+  onStorageEvent(storageEvent) {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.clientId}.`;
+    const idTokenSuffix = '.idToken';
+    const { key, newValue } = storageEvent;
+    if (key == null || key.indexOf(keyPrefix) !== 0) {
+      return;
+    }
+
+    if (newValue == null) {
+      // Storages keeping the items in memory must not keep serving the removed tokens
+      if (storageEvent.storageArea !== this.storage) {
+        this.storage.removeItem(key);
+      }
+      // Sign-outs are seen from the removed tokens, whose keys are never encrypted
+      if (key.length > keyPrefix.length + idTokenSuffix.length &&
+        key.substring(key.length - idTokenSuffix.length) === idTokenSuffix) {
+        this.emitCrossTabChange('signOut',
+          key.substring(keyPrefix.length, key.length - idTokenSuffix.length));
+      }
+      return;
+    }
+
+    if (key !== `${keyPrefix}AuthEvent`) {
+      return;
+    }
+    let change;
+    try {
+      change = JSON.parse(newValue);
+    } catch (err) {
+      // Encrypted by the storage
+      return;
+    }
+    if (change.event !== 'signOut') {
+      this.emitCrossTabChange(change.event, change.username);
+    }
+  }
+
+  /**
+   * @param {string} event What happened in the other tab.
+   * @param {string} username The user concerned.
+   * @returns {void}
+   * @private
+   */
+  emitCrossTabChange(event, username) {
+    const user = new CognitoUser({
+      Username: username,
+      Pool: this,
+      Storage: this.storage,
+    });
+    this.authStateEvents.emit('change', { event, user, crossTab: true });
+  }
+
+  /**
+   * method for getting every user of the application with tokens in the local storage
+   *
+   * @returns {CognitoUser[]} the users, from the least to the most recently signed in
+   */
+  getCachedUsers() {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.clientId}`;
+
+    let usernames;
+    try {
+      usernames = JSON.parse(this.storage.getItem(`${keyPrefix}.AuthUsers`) || '[]');
+    } catch (err) {
+      usernames = [];
+    }
+    // Users signed in before the list existed only have their tokens and LastAuthUser
+    const lastAuthUser = this.storage.getItem(`${keyPrefix}.LastAuthUser`);
+    if (lastAuthUser && usernames.indexOf(lastAuthUser) === -1) {
+      usernames.unshift(lastAuthUser);
+    }
+
+    return usernames
+      .filter(username => this.storage.getItem(`${keyPrefix}.${username}.idToken`))
+      .map(username => new CognitoUser({
+        Username: username,
+        Pool: this,
+        Storage: this.storage,
+      }));
+  }
+
+  /**
+   * method for making another user with cached tokens the current user of the
+   * application, returned by getCurrentUser
+   *
+   * @param {string} username The user to switch to.
+   * @returns {CognitoUser} the user, or null if it has no cached tokens
+   */
+  switchUser(username) {
+    const keyPrefix = `CognitoIdentityServiceProvider.${this.clientId}`;
+    if (!this.storage.getItem(`${keyPrefix}.${username}.idToken`)) {
+      return null;
+    }
+
+    this.storage.setItem(`${keyPrefix}.LastAuthUser`, username);
+    const cognitoUser = new CognitoUser({
+      Username: username,
+      Pool: this,
+      Storage: this.storage,
+    });
+    this.notifyAuthStateChange('userSwitch', cognitoUser);
+    return cognitoUser;
+  }
+
+  /**
+   * @typedef {object} RevocationResult
+   * @property {bool} revoked If the service revoked the refresh token.
+   * @property {bool} queued If the revocation failed and will be retried.
+   * @property {Error=} error Why the revocation failed.
+   */
+
+  /**
+   * method for revoking a refresh token, so that it cannot get new tokens anymore.
+   * Revocations failing because of the network or of the service are queued in the
+   * storage and retried by retryPendingRevocations, which also runs after the next
+   * successful revocation.
+   *
+   * @param {string} refreshToken The refresh token to revoke.
+   * @param {nodeCallback<RevocationResult>} callback Called with the revocation result.
+   * @returns {void}
+   */
+  revokeRefreshToken(refreshToken, callback) {
+    this.sendRevocation(refreshToken, err => {
+      if (!err) {
+        this.retryPendingRevocations(() => {});
+        return callback(null, { revoked: true, queued: false });
+      }
+
+      const queued = CognitoUserPool.isRetryableRevocationError(err);
+      if (queued) {
+        const pendingTokens = this.getPendingRevocations();
+        if (pendingTokens.indexOf(refreshToken) === -1) {
+          this.setPendingRevocations(pendingTokens.concat(refreshToken));
+        }
+      }
+      return callback(null, { revoked: false, queued, error: err });
+    });
+  }
+
+  /**
+   * method for retrying the revocations which failed and were queued
+   *
+   * @param {nodeCallback<int>} callback Called with the number of revocations still queued.
+   * @returns {void}
+   */
+  retryPendingRevocations(callback) {
+    const retryNext = (pendingTokens, index) => {
+      if (index >= pendingTokens.length) {
+        return callback(null, this.getPendingRevocations().length);
+      }
+
+      const refreshToken = pendingTokens[index];
+      return this.sendRevocation(refreshToken, err => {
+        if (!err || !CognitoUserPool.isRetryableRevocationError(err)) {
+          this.setPendingRevocations(
+            this.getPendingRevocations().filter(token => token !== refreshToken));
+        }
+        retryNext(pendingTokens, index + 1);
+      });
+    };
+
+    retryNext(this.getPendingRevocations(), 0);
+  }
+
+  /**
+   * Revokes a refresh token through the hosted UI domain when OAuth is configured,
+   * or the RevokeToken operation otherwise
+   * @param {string} refreshToken The refresh token to revoke.
+   * @param {nodeCallback} callback Called on error, or without arguments on success.
+   * @returns {void}
+   * @private
+   */
+  sendRevocation(refreshToken, callback) {
+    if (this.oauthClient) {
+      this.oauthClient.revokeToken(refreshToken, err => {
+        // Failures without a response are network errors, reported like the service client
+        if (err && err.statusCode == null && !(err instanceof CognitoError)) {
+          return callback(new CognitoServiceError(err.message, 'NetworkingError', {
+            retryable: true,
+            originalError: err,
+          }));
+        }
+        return callback(err);
+      });
+      return;
+    }
+
+    // Clients of older aws-sdk versions, such as the one of dist/aws-cognito-sdk.js, do not
+    // have the operation
+    if (typeof this.client.makeRequest === 'function' &&
+      typeof this.client.revokeToken !== 'function') {
+      callback(new CognitoError('This version of the aws-sdk cannot revoke tokens: update ' +
+        'it, or use the http transport.', 'RevocationNotSupported'));
+      return;
+    }
+
+    this.client.makeUnauthenticatedRequest('revokeToken', {
+      Token: refreshToken,
+      ClientId: this.clientId,
+      ClientSecret: this.clientSecret,
+    }, err => callback(err));
+  }
+
+  /**
+   * @returns {string[]} the refresh tokens whose revocation must be retried
+   * @private
+   */
+  getPendingRevocations() {
+    const pendingKey = `CognitoIdentityServiceProvider.${this.clientId}.PendingRevocations`;
+    try {
+      return JSON.parse(this.storage.getItem(pendingKey) || '[]');
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string[]} pendingTokens The refresh tokens whose revocation must be retried.
+   * @returns {void}
+   * @private
+   */
+  setPendingRevocations(pendingTokens) {
+    const pendingKey = `CognitoIdentityServiceProvider.${this.clientId}.PendingRevocations`;
+    if (pendingTokens.length > 0) {
+      this.storage.setItem(pendingKey, JSON.stringify(pendingTokens));
+    } else {
+      this.storage.removeItem(pendingKey);
+    }
+  }
+
+  /**
+   * @param {Error} err A revocation error.
+   * @returns {bool} if the revocation may succeed later, the token being still valid
+   * @private
+   */
+  static isRetryableRevocationError(err) {
+    if (err.retryable || err.code === 'NetworkingError' || err.code === 'TimeoutError') {
+      return true;
+    }
+    return err.statusCode >= 500 || err.statusCode === 429 ||
+      err.code === 'TooManyRequestsException' || err.code === 'InternalErrorException';
+  }
+
+  /**
+   * method for getting the current user of the application, after loading the items
+   * of an asynchronous storage such as AsyncStorageCache
+   *
+   * @param {nodeCallback<CognitoUser>} callback Called on error or with the user
+   *        retrieved from storage, or null if there is none.
+   * @returns {void}
+   */
+  getCurrentUserAsync(callback) {
+    StorageHelper.sync(this.storage, err => (
+      err ? callback(err, null) : callback(null, this.getCurrentUser())));
+  }
+
+  /**
+   * method for resuming a sign-in interrupted while waiting for a challenge answer,
+   * for instance by a page reload
+   *
+   * @returns {CognitoUser} the user whose sign-in is pending, or null if there is none
+   */
+  resumeSignIn() {
+    const signInStateKey = `CognitoIdentityServiceProvider.${this.clientId}.SignInState`;
+
+    let username;
+    try {
+      username = JSON.parse(this.storage.getItem(signInStateKey) || '{}').username;
+    } catch (err) {
+      return null;
+    }
+    if (!username) {
+      return null;
+    }
+
+    const cognitoUser = new CognitoUser({
+      Username: username,
+      Pool: this,
+      Storage: this.storage,
+    });
+
+    return cognitoUser.restoreSignInState() ? cognitoUser : null;
+  }
 }
+
+PromiseHelper.enablePromises(CognitoUserPool.prototype, {
+  nodeCallback: {
+    signUp: 4,
+    getCurrentUserAsync: 0,
+    revokeRefreshToken: 1,
+    retryPendingRevocations: 0,
+  },
+});
@@ -22,8 +22,12 @@ export default class CognitoUserSession {
    * @param {string} IdToken The session's Id token.
    * @param {string=} RefreshToken The session's refresh token.
    * @param {string} AccessToken The session's access token.
+   * @param {int=} ClockDrift Seconds the local clock is ahead of the service clock
+   *        (default 0), see calculateClockDrift.
+   * @param {int=} RefreshMargin Seconds before expiration from which the session is
+   *        no longer valid, so that it gets refreshed early (default 0).
    */
-  constructor({ IdToken, RefreshToken, AccessToken } = {}) {
+  constructor({ IdToken, RefreshToken, AccessToken, ClockDrift, RefreshMargin } = {}) {
     if (AccessToken == null || IdToken == null) {
       throw new Error('Id token and Access Token must be present.');
     }
@@ -31,6 +35,8 @@ export default class CognitoUserSession {
     this.idToken = IdToken;
     this.refreshToken = RefreshToken;
     this.accessToken = AccessToken;
+    this.clockDrift = ClockDrift || 0;
+    this.refreshMargin = RefreshMargin || 0;
   }
 
   /**
@@ -54,14 +60,104 @@ export default class CognitoUserSession {
     return this.accessToken;
   }
 
+  /**
+   * @param {string} name The claim name.
+   * @returns {*} the value of a claim of the Id token, or of the access token if the Id
+   * token does not have it, undefined if both miss it.
+   */
+  getClaim(name) {
+    const value = this.idToken.getClaim(name);
+    return value === undefined ? this.accessToken.getClaim(name) : value;
+  }
+
+  /**
+   * @returns {string} the user's unique identifier (sub member).
+   */
+  getSub() {
+    return this.getClaim('sub');
+  }
+
+  /**
+   * @returns {int} the time the user authenticated (auth_time member).
+   */
+  getAuthTime() {
+    return this.getClaim('auth_time');
+  }
+
+  /**
+   * @returns {int} the issue time of the access token (iat member).
+   */
+  getIssuedAt() {
+    return this.accessToken.getIssuedAt();
+  }
+
+  /**
+   * @returns {string[]} the user's groups (cognito:groups member), empty if there is none.
+   */
+  getGroups() {
+    return this.accessToken.getGroups();
+  }
+
+  /**
+   * @returns {string[]} the access token's OAuth scopes, empty if there is none.
+   */
+  getScopes() {
+    return this.accessToken.getScopes();
+  }
+
+  /**
+   * @param {string} group The group name.
+   * @returns {bool} if the user belongs to the group
+   */
+  hasGroup(group) {
+    return this.getGroups().indexOf(group) !== -1;
+  }
+
+  /**
+   * @param {string} scope The OAuth scope, such as aws.cognito.signin.user.admin.
+   * @returns {bool} if the access token has the scope
+   */
+  hasScope(scope) {
+    return this.getScopes().indexOf(scope) !== -1;
+  }
+
+  /**
+   * @returns {int} the seconds the local clock is ahead of the service clock
+   */
+  getClockDrift() {
+    return this.clockDrift;
+  }
+
+  /**
+   * @returns {int} the seconds before expiration from which the session is not valid
+   */
+  getRefreshMargin() {
+    return this.refreshMargin;
+  }
+
+  /**
+   * Computes the clock drift from the issue time of tokens the service just returned.
+   * Older tokens would look like a drift of their age.
+   * @param {CognitoIdToken} idToken The new Id token.
+   * @param {CognitoAccessToken} accessToken The new access token.
+   * @returns {int} the seconds the local clock is ahead of the service clock
+   */
+  static calculateClockDrift(idToken, accessToken) {
+    const now = Math.floor(new Date() / 1000);
+    const issuedAt = Math.min(accessToken.getIssuedAt(), idToken.getIssuedAt());
+
+    return isNaN(issuedAt) ? 0 : now - issuedAt;
+  }
+
   /**
    * Checks to see if the session is still valid based on session expiry information found
-   * in tokens and the current time
+   * in tokens and the current time, adjusted to the service clock
    * @returns {boolean} if the session is still valid
    */
   isValid() {
-    const now = Math.floor(new Date() / 1000);
+    const now = Math.floor(new Date() / 1000) - this.clockDrift;
+    const expiration = Math.min(this.accessToken.getExpiration(), this.idToken.getExpiration());
 
-    return now < this.accessToken.getExpiration() && now < this.idToken.getExpiration();
+    return now < expiration - this.refreshMargin;
   }
 }
@@ -0,0 +1,279 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Value of the first cookie of a value split across several cookies, followed by the
+ * number of chunks. Encoded values never contain a colon, so it cannot be mistaken
+ * for a stored value.
+ */
+const chunkedValuePrefix = 'chunks:';
+
+/**
+ * Prefix of the keys of the items of this library, and of their chunk cookies.
+ */
+const keyPrefix = 'CognitoIdentityServiceProvider.';
+
+/** @class */
+export default class CookieStorage {
+  /**
+   * Constructs a new CookieStorage object, storing the items in cookies so that they can
+   * be shared by subdomains or read by a server. Without a document, for instance during
+   * server side rendering, the cookies are read from a Cookie header and the cookies to
+   * send back are returned by getSetCookieHeaders.
+   * @param {object=} data Creation options.
+   * @param {string=} data.domain Cookie domain, such as .example.com to share the
+   *        cookies with every subdomain. Defaults to the current host.
+   * @param {string=} data.path Cookie path (default /).
+   * @param {number=} data.expires Cookie lifetime in days (default 365).
+   * @param {bool=} data.secure Only send the cookies over HTTPS (default true).
+   * @param {string=} data.sameSite Cookie SameSite attribute: strict, lax or none (default lax).
+   * @param {int=} data.maxCookieSize Maximum size of a cookie name and value, larger
+   *        values are split across several cookies (default 4000).
+   * @param {string=} data.cookieHeader Cookie header of the request being rendered,
+   *        used when there is no document.
+   */
+  constructor(data) {
+    const {
+      domain,
+      path = '/',
+      expires = 365,
+      secure = true,
+      sameSite = 'lax',
+      maxCookieSize = 4000,
+      cookieHeader,
+    } = data || {};
+    if (['strict', 'lax', 'none'].indexOf(sameSite.toLowerCase()) === -1) {
+      throw new Error('The sameSite attribute must be strict, lax or none.');
+    }
+    if (sameSite.toLowerCase() === 'none' && !secure) {
+      throw new Error('Cookies with sameSite none must be secure.');
+    }
+
+    this.domain = domain;
+    this.path = path;
+    this.expires = expires;
+    this.secure = secure;
+    this.sameSite = sameSite.toLowerCase();
+    this.maxCookieSize = maxCookieSize;
+
+    this.useDocument = typeof document !== 'undefined';
+    this.cookieJar = this.useDocument ? null : CookieStorage.parseCookies(cookieHeader || '');
+    this.setCookieHeaders = [];
+  }
+
+  /**
+   * This is used to set a specific item in storage
+   * @param {string} key - the key for the item
+   * @param {object} value - the value
+   * @returns {string} value that was set
+   */
+  setItem(key, value) {
+    const encodedValue = encodeURIComponent(value);
+    const previousChunkCount = this.getChunkCount(key);
+    // Room left by the name of the chunk cookies, which have up to three digit suffixes
+    const capacity = this.maxCookieSize - encodeURIComponent(key).length - 5;
+
+    const chunks = [];
+    let start = 0;
+    while (start < encodedValue.length) {
+      let end = Math.min(start + capacity, encodedValue.length);
+      // Do not cut an escape sequence such as %3D in two
+      const escape = encodedValue.lastIndexOf('%', end - 1);
+      if (escape > end - 3 && escape > start && end < encodedValue.length) {
+        end = escape;
+      }
+      chunks.push(encodedValue.substring(start, end));
+      start = end;
+    }
+
+    if (chunks.length <= 1) {
+      this.writeCookie(key, chunks[0] || '', this.expires);
+    } else {
+      this.writeCookie(key, `${chunkedValuePrefix}${chunks.length}`, this.expires);
+      chunks.forEach((chunk, index) => this.writeCookie(`${key}.${index}`, chunk, this.expires));
+    }
+    for (let index = chunks.length > 1 ? chunks.length : 0; index < previousChunkCount; index++) {
+      this.writeCookie(`${key}.${index}`, '', -1);
+    }
+
+    return value;
+  }
+
+  /**
+   * This is used to get a specific key from storage
+   * @param {string} key - the key for the item
+   * @returns {string} the data item, or null if it is missing or cannot be decoded
+   */
+  getItem(key) {
+    const cookies = this.readCookies();
+    if (!Object.prototype.hasOwnProperty.call(cookies, key)) {
+      return null;
+    }
+
+    const chunkCount = this.getChunkCount(key, cookies);
+    if (chunkCount === 0) {
+      return CookieStorage.decodeValue(cookies[key]);
+    }
+
+    let encodedValue = '';
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = cookies[`${key}.${index}`];
+      if (chunk == null) {
+        // Some chunks were evicted or not sent, the value is lost
+        return null;
+      }
+      encodedValue += chunk;
+    }
+    return CookieStorage.decodeValue(encodedValue);
+  }
+
+  /**
+   * This is used to remove an item from storage
+   * @param {string} key - the key being set
+   * @returns {bool} if the item existed
+   */
+  removeItem(key) {
+    const cookies = this.readCookies();
+    if (!Object.prototype.hasOwnProperty.call(cookies, key)) {
+      return false;
+    }
+
+    const chunkCount = this.getChunkCount(key, cookies);
+    this.writeCookie(key, '', -1);
+    for (let index = 0; index < chunkCount; index++) {
+      this.writeCookie(`${key}.${index}`, '', -1);
+    }
+    return true;
+  }
+
+  /**
+   * This is used to clear the storage, by removing the cookies of this library visible
+   * with the configured domain and path. The other cookies of the site are kept.
+   * @returns {object} an empty object
+   */
+  clear() {
+    Object.keys(this.readCookies())
+      .filter(key => key.indexOf(keyPrefix) === 0)
+      .forEach(key => this.writeCookie(key, '', -1));
+    return {};
+  }
+
+  /**
+   * This is used during server side rendering, to get the cookies written since
+   * this object was created
+   * @returns {string[]} the values of the Set-Cookie headers to send in the response
+   */
+  getSetCookieHeaders() {
+    return this.setCookieHeaders.slice();
+  }
+
+  /**
+   * @param {string} key The item key.
+   * @param {object=} cookies The current cookies.
+   * @returns {int} the number of cookies the item is split across, 0 if it is not split
+   * @private
+   */
+  getChunkCount(key, cookies = this.readCookies()) {
+    const value = cookies[key];
+    if (value == null || value.indexOf(chunkedValuePrefix) !== 0) {
+      return 0;
+    }
+    return parseInt(value.substring(chunkedValuePrefix.length), 10) || 0;
+  }
+
+  /**
+   * @returns {object} the current cookie values by decoded name
+   * @private
+   */
+  readCookies() {
+    if (!this.useDocument) {
+      return this.cookieJar;
+    }
+    return CookieStorage.parseCookies(document.cookie);
+  }
+
+  /**
+   * Writes a cookie with the configured attributes
+   * @param {string} name The decoded cookie name.
+   * @param {string} value The encoded cookie value.
+   * @param {number} expires Lifetime in days, negative to remove the cookie.
+   * @returns {void}
+   * @private
+   */
+  writeCookie(name, value, expires) {
+    const expiration = new Date(Date.now() + (expires * 24 * 60 * 60 * 1000));
+    let cookie = `${encodeURIComponent(name)}=${value}; path=${this.path}`;
+    if (this.domain) {
+      cookie += `; domain=${this.domain}`;
+    }
+    cookie += `; expires=${expiration.toUTCString()}`;
+    if (this.secure) {
+      cookie += '; secure';
+    }
+    cookie += `; samesite=${this.sameSite}`;
+
+    if (this.useDocument) {
+      document.cookie = cookie;
+      return;
+    }
+
+    if (expires < 0) {
+      delete this.cookieJar[name];
+    } else {
+      this.cookieJar[name] = value;
+    }
+    this.setCookieHeaders.push(cookie);
+  }
+
+  /**
+   * @param {string} encodedValue The encoded cookie value.
+   * @returns {string} the value, or null if it was not encoded by this class
+   * @private
+   */
+  static decodeValue(encodedValue) {
+    try {
+      return decodeURIComponent(encodedValue);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Parses a Cookie header or document.cookie
+   * @param {string} cookieHeader The cookies, separated by semicolons.
+   * @returns {object} the encoded cookie values by decoded name
+   * @private
+   */
+  static parseCookies(cookieHeader) {
+    const cookies = {};
+    cookieHeader.split(';').forEach(cookie => {
+      const separator = cookie.indexOf('=');
+      if (separator === -1) {
+        return;
+      }
+      try {
+        const name = decodeURIComponent(cookie.substring(0, separator).trim());
+        if (!Object.prototype.hasOwnProperty.call(cookies, name)) {
+          cookies[name] = cookie.substring(separator + 1).trim();
+        }
+      } catch (err) {
+        // Ignore cookies that were not written by this class
+      }
+    });
+    return cookies;
+  }
+}
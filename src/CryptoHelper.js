@@ -0,0 +1,114 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global crypto */
+
+import { util } from 'aws-sdk/global';
+
+/**
+ * SHA-256, HMAC and HKDF primitives of the SRP computations. The synchronous ones use
+ * the Node.js crypto module in Node.js, the asynchronous ones use WebCrypto where the
+ * platform has it and fall back to the synchronous ones.
+ * @class
+ */
+export default class CryptoHelper {
+  /**
+   * @param {Buffer|string} data Value to hash, strings are read as UTF-8.
+   * @returns {string} the hex-encoded SHA-256 hash of the value
+   */
+  static sha256(data) {
+    return util.crypto.sha256(data, 'hex');
+  }
+
+  /**
+   * @param {Buffer} key The HMAC key.
+   * @param {Buffer|string} data Value to authenticate.
+   * @returns {Buffer} the HMAC-SHA256 of the value
+   */
+  static hmacSha256(key, data) {
+    return util.crypto.hmac(key, data, 'buffer', 'sha256');
+  }
+
+  /**
+   * Derives a key of at most 32 bytes with HKDF-SHA256 (RFC 5869)
+   * @param {Buffer} ikm Input key material.
+   * @param {Buffer} salt Salt value.
+   * @param {Buffer} info Context information.
+   * @param {int} length Length of the key in bytes.
+   * @returns {Buffer} the derived key
+   */
+  static hkdf(ikm, salt, info, length) {
+    const prk = CryptoHelper.hmacSha256(salt, ikm);
+    const infoBitsUpdate = util.buffer.concat([
+      info,
+      new util.Buffer(String.fromCharCode(1), 'utf8'),
+    ]);
+    return CryptoHelper.hmacSha256(prk, infoBitsUpdate).slice(0, length);
+  }
+
+  /**
+   * Same as hkdf, computed by WebCrypto when available
+   * @param {Buffer} ikm Input key material.
+   * @param {Buffer} salt Salt value.
+   * @param {Buffer} info Context information.
+   * @param {int} length Length of the key in bytes.
+   * @param {nodeCallback<Buffer>} callback Called with the derived key.
+   * @returns {void}
+   */
+  static hkdfAsync(ikm, salt, info, length, callback) {
+    const subtle = CryptoHelper.getSubtleCrypto();
+    if (subtle == null) {
+      let key;
+      try {
+        key = CryptoHelper.hkdf(ikm, salt, info, length);
+      } catch (err) {
+        callback(err, null);
+        return;
+      }
+      callback(null, key);
+      return;
+    }
+
+    subtle.importKey('raw', new Uint8Array(ikm), 'HKDF', false, ['deriveBits'])
+      .then(key => subtle.deriveBits({
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(salt),
+        info: new Uint8Array(info),
+      }, key, length * 8))
+      // The callback runs outside of the promise, so that its exceptions are not swallowed
+      .then(
+        bits => setTimeout(() => callback(null, new util.Buffer(new Uint8Array(bits))), 0),
+        err => setTimeout(() => callback(err, null), 0));
+  }
+
+  /**
+   * @returns {SubtleCrypto} the WebCrypto API, or null if the platform does not have it
+   * @private
+   */
+  static getSubtleCrypto() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+      return crypto.subtle;
+    }
+    if (typeof module !== 'undefined' && typeof module.require === 'function') {
+      // Loaded when used only, so that bundlers leave the Node.js modules out
+      const { webcrypto } = module.require('crypto');
+      return webcrypto && webcrypto.subtle ? webcrypto.subtle : null;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,188 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { util } from 'aws-sdk/global';
+
+/**
+ * @typedef {object} StoredCryptoKey
+ * @property {string} id Key identifier, saved with the data it encrypts.
+ * @property {CryptoKey} key Non-extractable AES-GCM key.
+ * @property {number} created Creation time in milliseconds.
+ */
+
+/** @class */
+export default class CryptoKeyStore {
+  /**
+   * Constructs a new CryptoKeyStore object. It keeps non-extractable AES-GCM keys in
+   * IndexedDB, apart from the data they encrypt, so that scripts reading the storage
+   * cannot read the keys. Without IndexedDB, for instance in Node.js, the keys are kept
+   * in memory and the data they encrypted cannot be read after a restart.
+   * @param {object=} options Key store options.
+   * @param {string=} options.databaseName IndexedDB database name
+   *        (default CognitoIdentityServiceProvider).
+   */
+  constructor({ databaseName } = {}) {
+    this.databaseName = databaseName || 'CognitoIdentityServiceProvider';
+    this.storeName = 'cryptoKeys';
+    this.keys = null;
+    this.pendingKey = null;
+    this.database = null;
+    this.memoryStore = null;
+  }
+
+  /**
+   * This is used to get the keys, newest first
+   * @returns {Promise<StoredCryptoKey[]>} The keys. The first one encrypts new data.
+   */
+  getKeys() {
+    if (this.keys == null) {
+      const keys = this.request('readonly', store => store.getAll())
+        .then(storedKeys => storedKeys.sort((a, b) => b.created - a.created));
+      // A failed read is retried by the next call
+      keys.catch(() => {
+        if (this.keys === keys) {
+          this.keys = null;
+        }
+      });
+      this.keys = keys;
+    }
+    return this.keys;
+  }
+
+  /**
+   * This is used to get the key encrypting new data, created if there is none yet.
+   * Concurrent calls share the key being created.
+   * @returns {Promise<StoredCryptoKey>} The newest key.
+   */
+  getCurrentKey() {
+    if (this.pendingKey != null) {
+      return this.pendingKey;
+    }
+    return this.getKeys().then(keys => {
+      if (keys.length > 0) {
+        return keys[0];
+      }
+      if (this.pendingKey == null) {
+        const pendingKey = this.createKey();
+        const clearPendingKey = () => {
+          this.pendingKey = null;
+        };
+        pendingKey.then(clearPendingKey, clearPendingKey);
+        this.pendingKey = pendingKey;
+      }
+      return this.pendingKey;
+    });
+  }
+
+  /**
+   * This is used to generate a new key, which encrypts new data from then on
+   * @returns {Promise<StoredCryptoKey>} The new key.
+   */
+  createKey() {
+    return Promise.resolve()
+      .then(() => CryptoKeyStore.getSubtleCrypto().generateKey(
+        { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']))
+      .then(key => {
+        const storedKey = {
+          id: util.crypto.lib.randomBytes(8).toString('hex'),
+          key,
+          created: Date.now(),
+        };
+        return this.getKeys()
+          .then(() => this.request('readwrite', store => store.put(storedKey)))
+          .then(() => {
+            this.keys = this.keys.then(keys => [storedKey].concat(keys));
+            return storedKey;
+          });
+      });
+  }
+
+  /**
+   * This is used to delete a key, once no data is encrypted with it
+   * @param {string} id The key identifier.
+   * @returns {Promise} Resolved once the key is deleted.
+   */
+  removeKey(id) {
+    return this.getKeys()
+      .then(() => this.request('readwrite', store => store.delete(id)))
+      .then(() => {
+        this.keys = this.keys.then(keys => keys.filter(storedKey => storedKey.id !== id));
+      });
+  }
+
+  /**
+   * Runs a request on the key object store, or on the memory without IndexedDB
+   * @param {string} mode Transaction mode, readonly or readwrite.
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest Makes the request.
+   * @returns {Promise} The request result.
+   * @private
+   */
+  request(mode, makeRequest) {
+    if (typeof indexedDB === 'undefined') {
+      this.memoryStore = this.memoryStore || {};
+      const memoryStore = this.memoryStore;
+      return Promise.resolve(makeRequest({
+        getAll: () => Object.keys(memoryStore).map(id => memoryStore[id]),
+        put: storedKey => { memoryStore[storedKey.id] = storedKey; },
+        delete: id => { delete memoryStore[id]; },
+      }));
+    }
+
+    return this.openDatabase().then(database => new Promise((resolve, reject) => {
+      const request = makeRequest(
+        database.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * @returns {Promise<IDBDatabase>} the key database, created on first use
+   * @private
+   */
+  openDatabase() {
+    if (this.database == null) {
+      const database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // The database may be blocked or unavailable for now, it is opened again next time
+      database.catch(() => {
+        if (this.database === database) {
+          this.database = null;
+        }
+      });
+      this.database = database;
+    }
+    return this.database;
+  }
+
+  /**
+   * @returns {SubtleCrypto} the Web Crypto API
+   * @throws {Error} if the platform has no Web Crypto API.
+   */
+  static getSubtleCrypto() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new Error('The Web Crypto API is not available.');
+    }
+    return crypto.subtle;
+  }
+}
@@ -0,0 +1,103 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Browsers recognized in user agents, the first match wins: most browsers also claim
+ * to be Chrome or Safari.
+ */
+const browsers = [
+  ['Edge', /\bEdg(e|A|iOS)?\//],
+  ['Opera', /\bOPR\/|\bOpera\b/],
+  ['Samsung Internet', /\bSamsungBrowser\//],
+  ['Firefox', /\bFirefox\/|\bFxiOS\//],
+  ['Chrome', /\bChrome\/|\bCriOS\/|\bChromium\//],
+  ['Internet Explorer', /\bMSIE |\bTrident\//],
+  ['Safari', /\bVersion\/[\d.]+.*\bSafari\//],
+];
+
+/**
+ * Operating systems recognized in user agents, the first match wins: Android and
+ * Chrome OS user agents also mention Linux, iOS ones mention Mac OS X.
+ */
+const operatingSystems = [
+  ['Windows', /\bWindows\b/],
+  ['Android', /\bAndroid\b/],
+  ['iPadOS', /\biPad\b/],
+  ['iOS', /\biPhone\b|\biPod\b/],
+  ['Chrome OS', /\bCrOS\b/],
+  ['macOS', /\bMac OS X\b|\bMacintosh\b/],
+  ['Linux', /\bLinux\b/],
+];
+
+const nodePlatforms = {
+  darwin: 'macOS',
+  win32: 'Windows',
+  linux: 'Linux',
+  freebsd: 'FreeBSD',
+  openbsd: 'OpenBSD',
+  sunos: 'SunOS',
+  aix: 'AIX',
+};
+
+/** @class */
+export default class DeviceNameHelper {
+  /**
+   * @returns {string} A readable name of the current device, such as "Chrome on macOS".
+   */
+  getDeviceName() {
+    if (typeof navigator !== 'undefined' && navigator != null) {
+      if (navigator.product === 'ReactNative') {
+        return 'React Native app';
+      }
+      // Node.js 21 and later have a navigator too, with a Node.js/<version> user agent
+      if (typeof navigator.userAgent === 'string' && navigator.userAgent.length > 0 &&
+        navigator.userAgent.indexOf('Node.js/') !== 0) {
+        return DeviceNameHelper.fromUserAgent(navigator.userAgent);
+      }
+    }
+
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+      const platform = nodePlatforms[process.platform] || process.platform;
+      return platform ? `Node.js on ${platform}` : 'Node.js';
+    }
+
+    return 'Unknown device';
+  }
+
+  /**
+   * @param {string} userAgent A browser user agent.
+   * @returns {string} A readable name of the browser and operating system, or the user
+   *          agent itself when neither is recognized.
+   */
+  static fromUserAgent(userAgent) {
+    const find = candidates => {
+      for (let i = 0; i < candidates.length; i += 1) {
+        if (candidates[i][1].test(userAgent)) {
+          return candidates[i][0];
+        }
+      }
+      return null;
+    };
+
+    const browser = find(browsers);
+    const operatingSystem = find(operatingSystems);
+    if (browser && operatingSystem) {
+      return `${browser} on ${operatingSystem}`;
+    }
+    return browser || operatingSystem || userAgent;
+  }
+}
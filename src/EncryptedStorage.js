@@ -0,0 +1,81 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import AsyncStorageCache from './AsyncStorageCache';
+import CryptoKeyStore from './CryptoKeyStore';
+import PromiseHelper from './PromiseHelper';
+import StorageEncryption from './StorageEncryption';
+
+/** @class */
+export default class EncryptedStorage extends AsyncStorageCache {
+  /**
+   * Constructs a new EncryptedStorage object, a storage decorator encrypting the values
+   * of another storage, such as localStorage, with AES-GCM. As encryption is
+   * asynchronous, the decrypted values are kept in memory: call sync, or use the
+   * asynchronous methods of the pool and users, before reading the tokens.
+   * @param {object} storage The storage of the encrypted values, synchronous or not.
+   * @param {object=} options Storage options.
+   * @param {CryptoKeyStore=} options.keyStore The store of the non-extractable keys,
+   *        by default in IndexedDB.
+   * @param {string=} options.keyPrefix Only the items whose key starts with this prefix
+   *        are loaded by sync (default CognitoIdentityServiceProvider.).
+   * @param {string=} options.indexKey Key of the index item, used when the storage
+   *        cannot list its keys (default CognitoIdentityServiceProvider.StorageKeys).
+   */
+  constructor(storage, { keyStore, keyPrefix, indexKey } = {}) {
+    const encryptionKeyStore = keyStore || new CryptoKeyStore();
+    super(new StorageEncryption(storage, encryptionKeyStore), { keyPrefix, indexKey });
+
+    this.keyStore = encryptionKeyStore;
+  }
+
+  /**
+   * This is used to encrypt the stored values with a new key and delete the older keys
+   * @param {nodeCallback<string>} callback Called on error or with the new key id.
+   * @returns {void}
+   */
+  rotateKey(callback) {
+    let previousKeys;
+    let newKey;
+    this.sync()
+      .then(() => this.keyStore.getKeys())
+      .then(keys => {
+        previousKeys = keys;
+        return this.keyStore.createKey();
+      })
+      .then(storedKey => {
+        newKey = storedKey;
+        Object.keys(this.dataMemory).forEach(key => {
+          const value = this.dataMemory[key];
+          this.queueWrite(() => this.asyncStorage.setItem(key, value));
+        });
+        this.writeIndex();
+        return this.flush();
+      })
+      .then(() => Promise.all(previousKeys.map(storedKey => this.keyStore.removeKey(storedKey.id))))
+      // The callback runs outside of the promise, so that its exceptions are not swallowed
+      .then(
+        () => setTimeout(() => callback(null, newKey.id), 0),
+        err => setTimeout(() => callback(err, null), 0));
+  }
+}
+
+PromiseHelper.enablePromises(EncryptedStorage.prototype, {
+  nodeCallback: {
+    rotateKey: 0,
+  },
+});
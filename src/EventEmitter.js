@@ -0,0 +1,82 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @class */
+export default class EventEmitter {
+  /**
+   * Constructs a new EventEmitter object
+   */
+  constructor() {
+    this.eventListeners = {};
+  }
+
+  /**
+   * This is used to listen to an event
+   * @param {string} event The event name.
+   * @param {function} listener Called with the event arguments.
+   * @returns {EventEmitter} The emitter for method chaining.
+   */
+  on(event, listener) {
+    if (!Object.prototype.hasOwnProperty.call(this.eventListeners, event)) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * This is used to stop listening to an event
+   * @param {string} event The event name.
+   * @param {function} listener The listener passed to on.
+   * @returns {EventEmitter} The emitter for method chaining.
+   */
+  off(event, listener) {
+    const listeners = this.eventListeners[event];
+    if (listeners) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} event The event name.
+   * @returns {int} the number of listeners of the event
+   */
+  listenerCount(event) {
+    const listeners = this.eventListeners[event];
+    return listeners ? listeners.length : 0;
+  }
+
+  /**
+   * This is used to call the listeners of an event
+   * @param {string} event The event name.
+   * @param {...*} args The event arguments.
+   * @returns {bool} if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this.eventListeners[event];
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+
+    listeners.slice().forEach(listener => listener(...args));
+    return true;
+  }
+}
@@ -0,0 +1,225 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global AbortController */
+
+/**
+ * @typedef {object} HttpResponse
+ * @property {int} statusCode The HTTP status code.
+ * @property {object} headers The response headers, with lower case names.
+ * @property {string} body The response body.
+ */
+
+/** @class */
+export default class HttpClient {
+  /**
+   * Sends an HTTP request with fetch, XMLHttpRequest in older browsers, or the http
+   * and https modules in older Node.js versions
+   * @param {object} request The request.
+   * @param {string=} request.method The HTTP method (default GET).
+   * @param {string} request.url The URL.
+   * @param {object=} request.headers The request headers.
+   * @param {string=} request.body The request body.
+   * @param {nodeCallback<HttpResponse>} callback Called on network error or with the response.
+   * @returns {function} Call it to abort the request. The callback is not called then.
+   */
+  static request({ method = 'GET', url, headers = {}, body }, callback) {
+    if (typeof fetch === 'function') {
+      return HttpClient.fetchRequest({ method, url, headers, body }, callback);
+    }
+    if (typeof XMLHttpRequest !== 'undefined') {
+      return HttpClient.xhrRequest({ method, url, headers, body }, callback);
+    }
+    if (typeof module !== 'undefined' && typeof module.require === 'function') {
+      return HttpClient.nodeRequest({ method, url, headers, body }, callback);
+    }
+
+    callback(new Error('No HTTP client available.'), null);
+    return () => {};
+  }
+
+  /**
+   * @param {object} request The request, see request.
+   * @param {nodeCallback<HttpResponse>} callback Called on network error or with the response.
+   * @returns {function} Call it to abort the request.
+   * @private
+   */
+  static fetchRequest({ method, url, headers, body }, callback) {
+    let statusCode;
+    let aborted = false;
+    const responseHeaders = {};
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+
+    fetch(url, { method, headers, body, signal: controller ? controller.signal : undefined })
+      .then(response => {
+        statusCode = response.status;
+        response.headers.forEach((value, name) => {
+          responseHeaders[name.toLowerCase()] = value;
+        });
+        return response.text();
+      })
+      // The callback runs outside of the promise, so that its exceptions are not swallowed.
+      // Aborted requests are dropped, without reporting the abort as a network error.
+      .then(
+        text => setTimeout(() => {
+          if (!aborted) {
+            callback(null, { statusCode, headers: responseHeaders, body: text });
+          }
+        }, 0),
+        err => {
+          if (!aborted) {
+            setTimeout(() => callback(err, null), 0);
+          }
+        });
+
+    return () => {
+      aborted = true;
+      if (controller) {
+        controller.abort();
+      }
+    };
+  }
+
+  /**
+   * @param {object} request The request, see request.
+   * @param {nodeCallback<HttpResponse>} callback Called on network error or with the response.
+   * @returns {function} Call it to abort the request.
+   * @private
+   */
+  static xhrRequest({ method, url, headers, body }, callback) {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    Object.keys(headers).forEach(name => xhr.setRequestHeader(name, headers[name]));
+    xhr.onload = () => {
+      const responseHeaders = {};
+      xhr.getAllResponseHeaders().split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          responseHeaders[line.substring(0, separator).trim().toLowerCase()] =
+            line.substring(separator + 1).trim();
+        }
+      });
+      callback(null, { statusCode: xhr.status, headers: responseHeaders, body: xhr.responseText });
+    };
+    xhr.onerror = () => callback(new Error('Network error'), null);
+    xhr.send(body == null ? null : body);
+
+    return () => xhr.abort();
+  }
+
+  /**
+   * @param {object} request The request, see request.
+   * @param {nodeCallback<HttpResponse>} callback Called on network error or with the response.
+   * @returns {function} Call it to abort the request.
+   * @private
+   */
+  static nodeRequest({ method, url, headers, body }, callback) {
+    // Loaded when used only, so that bundlers leave the Node.js modules out
+    const { protocol, hostname, port, path } = module.require('url').parse(url);
+    const transport = module.require(protocol === 'http:' ? 'http' : 'https');
+
+    let aborted = false;
+    const request = transport.request({ method, hostname, port, path, headers }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+      });
+      response.on('end', () => (aborted ? undefined : callback(null, {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: text,
+      })));
+    });
+    request.on('error', err => (aborted ? undefined : callback(err, null)));
+    request.end(body == null ? undefined : body);
+
+    return () => {
+      aborted = true;
+      request.abort();
+    };
+  }
+
+  /**
+   * Sends an HTTP request and parses its JSON response
+   * @param {object} request The request, see request.
+   * @param {nodeCallback<object>} callback Called on error or with the parsed body. Errors
+   *        for HTTP error statuses have a statusCode, and the parsed body as data.
+   * @returns {void}
+   */
+  static requestJson(request, callback) {
+    HttpClient.request(request, (err, response) => {
+      if (err) {
+        return callback(err, null);
+      }
+
+      let data;
+      try {
+        data = response.body ? JSON.parse(response.body) : {};
+      } catch (parseErr) {
+        data = null;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300 || data == null) {
+        const error = new Error(`HTTP status ${response.statusCode}`);
+        error.statusCode = response.statusCode;
+        error.data = data;
+        return callback(error, null);
+      }
+      return callback(null, data);
+    });
+  }
+
+  /**
+   * Encodes parameters for a query string or a form body, skipping null values
+   * @param {object} params The parameters.
+   * @returns {string} the encoded parameters
+   */
+  static encodeParams(params) {
+    return Object.keys(params)
+      .filter(name => params[name] != null)
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+  }
+
+  /**
+   * Decodes the query string of a URL
+   * @param {string} url The URL.
+   * @returns {object} the parameters
+   */
+  static decodeQuery(url) {
+    const params = {};
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+      return params;
+    }
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.substring(queryStart + 1, hashStart === -1 ? url.length : hashStart);
+    query.split('&').forEach(param => {
+      if (!param) {
+        return;
+      }
+      const separator = param.indexOf('=');
+      const name = separator === -1 ? param : param.substring(0, separator);
+      const value = separator === -1 ? '' : param.substring(separator + 1);
+      params[decodeURIComponent(name.replace(/\+/g, ' '))] =
+        decodeURIComponent(value.replace(/\+/g, ' '));
+    });
+    return params;
+  }
+}
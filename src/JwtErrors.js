@@ -0,0 +1,98 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { CognitoError } from './CognitoErrors';
+
+/**
+ * Base class of the errors reported by CognitoJwtVerifier. Errors are checked with
+ * instanceof, or with their code like the errors of the service.
+ * @class
+ */
+export class JwtVerificationError extends CognitoError {
+  /**
+   * Constructs a new JwtVerificationError object
+   * @param {string} message Error description.
+   * @param {string=} code Error code, the class name without the Error suffix by default.
+   */
+  constructor(message, code) {
+    super(message, code || 'JwtVerification');
+    this.name = 'JwtVerificationError';
+  }
+}
+
+/** The token is not a well formed JWT. */
+export class JwtParseError extends JwtVerificationError {
+  /**
+   * @param {string} message Error description.
+   */
+  constructor(message) {
+    super(message, 'JwtParse');
+    this.name = 'JwtParseError';
+  }
+}
+
+/** The signature is invalid, or uses an unsupported algorithm. */
+export class JwtInvalidSignatureError extends JwtVerificationError {
+  /**
+   * @param {string} message Error description.
+   */
+  constructor(message) {
+    super(message, 'JwtInvalidSignature');
+    this.name = 'JwtInvalidSignatureError';
+  }
+}
+
+/** The token expired. */
+export class JwtExpiredError extends JwtVerificationError {
+  /**
+   * @param {string} message Error description.
+   * @param {int} expiration The exp claim.
+   */
+  constructor(message, expiration) {
+    super(message, 'JwtExpired');
+    this.name = 'JwtExpiredError';
+    this.expiration = expiration;
+  }
+}
+
+/** A claim, such as iss, aud, client_id, token_use or iat, has an unexpected value. */
+export class JwtInvalidClaimError extends JwtVerificationError {
+  /**
+   * @param {string} message Error description.
+   * @param {string} claim The claim name.
+   * @param {*} value The claim value.
+   */
+  constructor(message, claim, value) {
+    super(message, 'JwtInvalidClaim');
+    this.name = 'JwtInvalidClaimError';
+    this.claim = claim;
+    this.value = value;
+  }
+}
+
+/** The JWKS could not be loaded, or has no key matching the token. */
+export class JwksError extends JwtVerificationError {
+  /**
+   * @param {string} message Error description.
+   * @param {string=} kid Identifier of the missing key.
+   */
+  constructor(message, kid) {
+    super(message, 'Jwks');
+    this.name = 'JwksError';
+    this.kid = kid;
+  }
+}
@@ -0,0 +1,155 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global BigInt */
+
+const supported = typeof BigInt === 'function';
+// Aliased as BigInt is not a constructor and must be called without new
+const toBigInt = supported ? BigInt : null;
+const zero = supported ? toBigInt(0) : null;
+const one = supported ? toBigInt(1) : null;
+const two = supported ? toBigInt(2) : null;
+
+/**
+ * Drop-in replacement of the BigInteger.js methods used by the SRP computations,
+ * built on the native BigInt of the platform.
+ * @class
+ */
+export default class NativeBigInteger {
+  /**
+   * Constructs a new NativeBigInteger object
+   * @param {string|bigint} value The number as a string, or a native BigInt.
+   * @param {int=} radix Radix of the string, 10 or 16 (default 10).
+   */
+  constructor(value, radix) {
+    if (typeof value !== 'string') {
+      this.value = value;
+      return;
+    }
+
+    const negative = value[0] === '-';
+    const digits = negative ? value.slice(1) : value;
+    let parsed = zero;
+    if (digits.length > 0) {
+      parsed = toBigInt(radix === 16 ? `0x${digits}` : digits);
+    }
+    this.value = negative ? -parsed : parsed;
+  }
+
+  /**
+   * @returns {bool} if the platform supports BigInt
+   */
+  static isSupported() {
+    return supported;
+  }
+
+  /**
+   * @param {int=} radix Radix of the string (default 10).
+   * @returns {string} the number as a string
+   */
+  toString(radix) {
+    return this.value.toString(radix || 10);
+  }
+
+  /**
+   * @param {NativeBigInteger} other Number to compare to.
+   * @returns {int} a negative number, zero or a positive number when this number is
+   *          lower than, equal to or greater than the other one
+   */
+  compareTo(other) {
+    if (this.value === other.value) {
+      return 0;
+    }
+    return this.value < other.value ? -1 : 1;
+  }
+
+  /**
+   * @param {NativeBigInteger} other Number to compare to.
+   * @returns {bool} if both numbers are equal
+   */
+  equals(other) {
+    return this.value === other.value;
+  }
+
+  /**
+   * @param {NativeBigInteger} other Number to add.
+   * @returns {NativeBigInteger} the sum
+   */
+  add(other) {
+    return new NativeBigInteger(this.value + other.value);
+  }
+
+  /**
+   * @param {NativeBigInteger} other Number to subtract.
+   * @returns {NativeBigInteger} the difference
+   */
+  subtract(other) {
+    return new NativeBigInteger(this.value - other.value);
+  }
+
+  /**
+   * @param {NativeBigInteger} other Number to multiply by.
+   * @returns {NativeBigInteger} the product
+   */
+  multiply(other) {
+    return new NativeBigInteger(this.value * other.value);
+  }
+
+  /**
+   * @param {NativeBigInteger} m The modulus.
+   * @returns {NativeBigInteger} this number modulo m, never negative like in BigInteger.js
+   */
+  mod(m) {
+    return new NativeBigInteger(NativeBigInteger.modValue(this.value, m.value));
+  }
+
+  /**
+   * Right-to-left square and multiply exponentiation
+   * @param {NativeBigInteger} e The exponent, not negative.
+   * @param {NativeBigInteger} m The modulus.
+   * @returns {NativeBigInteger} this number to the power e, modulo m
+   */
+  modPow(e, m) {
+    const modulus = m.value;
+    let base = NativeBigInteger.modValue(this.value, modulus);
+    let exponent = e.value;
+    let result = one % modulus;
+
+    while (exponent > zero) {
+      if (exponent % two === one) {
+        result = (result * base) % modulus;
+      }
+      base = (base * base) % modulus;
+      exponent /= two;
+    }
+    return new NativeBigInteger(result);
+  }
+
+  /**
+   * @param {bigint} value The number to reduce.
+   * @param {bigint} modulus The modulus.
+   * @returns {bigint} value modulo modulus, never negative
+   * @private
+   */
+  static modValue(value, modulus) {
+    const remainder = value % modulus;
+    return remainder < zero ? remainder + modulus : remainder;
+  }
+}
+
+NativeBigInteger.ZERO = supported ? new NativeBigInteger(zero) : null;
+NativeBigInteger.ONE = supported ? new NativeBigInteger(one) : null;
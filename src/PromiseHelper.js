@@ -0,0 +1,155 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @typedef {object} SignInStep
+ * @property {string} nextStep What the caller must do next: DONE, SMS_MFA,
+ *           SOFTWARE_TOKEN_MFA, SELECT_MFA_TYPE, MFA_SETUP, NEW_PASSWORD_REQUIRED
+ *           or CUSTOM_CHALLENGE.
+ * @property {CognitoUserSession=} session The new session, when nextStep is DONE.
+ * @property {bool=} userConfirmationNecessary Device confirmation is necessary (DONE only).
+ * @property {object=} challengeParameters Parameters of the pending challenge.
+ * @property {object=} userAttributes Current user attributes (NEW_PASSWORD_REQUIRED only).
+ * @property {string[]=} requiredAttributes Attributes to provide (NEW_PASSWORD_REQUIRED only).
+ */
+
+/**
+ * Builders turning the challenge callbacks of the sign-in flows into SignInStep results.
+ */
+const signInStepCallbacks = {
+  onSuccess: (session, userConfirmationNecessary) => ({
+    nextStep: 'DONE',
+    session,
+    userConfirmationNecessary: userConfirmationNecessary === true,
+  }),
+  mfaRequired: (challengeName, challengeParameters) => ({
+    nextStep: challengeName,
+    challengeParameters,
+  }),
+  totpRequired: (challengeName, challengeParameters) => ({
+    nextStep: challengeName,
+    challengeParameters,
+  }),
+  selectMFAType: (challengeName, challengeParameters) => ({
+    nextStep: challengeName,
+    challengeParameters,
+  }),
+  mfaSetup: (challengeName, challengeParameters) => ({
+    nextStep: challengeName,
+    challengeParameters,
+  }),
+  customChallenge: challengeParameters => ({
+    nextStep: 'CUSTOM_CHALLENGE',
+    challengeParameters,
+  }),
+  newPasswordRequired: (userAttributes, requiredAttributes) => ({
+    nextStep: 'NEW_PASSWORD_REQUIRED',
+    userAttributes,
+    requiredAttributes,
+  }),
+};
+
+/** @class */
+export default class PromiseHelper {
+  /**
+   * Builds a Node-style callback settling a promise.
+   * @param {function} resolve Promise resolve function.
+   * @param {function} reject Promise reject function.
+   * @returns {nodeCallback} The callback.
+   */
+  static nodeCallback(resolve, reject) {
+    return (err, result) => (err ? reject(err) : resolve(result));
+  }
+
+  /**
+   * Builds a result callback map settling a promise with the operation result.
+   * @param {function} resolve Promise resolve function.
+   * @param {function} reject Promise reject function.
+   * @returns {object} The callback map.
+   */
+  static callbackMap(resolve, reject) {
+    return {
+      onSuccess: resolve,
+      onFailure: reject,
+      inputVerificationCode: resolve,
+    };
+  }
+
+  /**
+   * Builds a sign-in callback map settling a promise with a SignInStep.
+   * @param {function} resolve Promise resolve function.
+   * @param {function} reject Promise reject function.
+   * @returns {object} The callback map.
+   */
+  static signInStepCallbackMap(resolve, reject) {
+    const callback = { onFailure: reject };
+    Object.keys(signInStepCallbacks).forEach(name => {
+      callback[name] = (...args) => resolve(signInStepCallbacks[name](...args));
+    });
+    return callback;
+  }
+
+  /**
+   * Wraps a callback-taking method so that it returns a promise when its callback
+   * argument is omitted. Calls that pass a callback are forwarded unchanged.
+   * @param {function} method The original method.
+   * @param {int} callbackIndex Position of the callback argument.
+   * @param {function} buildCallback Builds the callback from resolve and reject.
+   * @returns {function} The wrapped method.
+   */
+  static wrap(method, callbackIndex, buildCallback) {
+    return function promiseOrCallback(...args) {
+      if (args[callbackIndex] != null) {
+        return method.apply(this, args);
+      }
+
+      return new Promise((resolve, reject) => {
+        const callArgs = args.slice(0, callbackIndex);
+        callArgs[callbackIndex] = buildCallback(resolve, reject);
+        callArgs.push(...args.slice(callbackIndex + 1));
+        method.apply(this, callArgs);
+      });
+    };
+  }
+
+  /**
+   * Adds the promise form to methods of a class prototype.
+   * @param {object} prototype The prototype to update.
+   * @param {object} methods Callback argument positions by method name, grouped by style.
+   * @param {object=} methods.nodeCallback Methods taking a Node-style callback.
+   * @param {object=} methods.callbackMap Methods taking an onSuccess / onFailure map.
+   * @param {object=} methods.signInStep Sign-in methods resolving to a SignInStep.
+   * @returns {void}
+   */
+  static enablePromises(prototype, methods) {
+    const builders = {
+      nodeCallback: PromiseHelper.nodeCallback,
+      callbackMap: PromiseHelper.callbackMap,
+      signInStep: PromiseHelper.signInStepCallbackMap,
+    };
+
+    Object.keys(methods).forEach(style => {
+      Object.keys(methods[style]).forEach(name => {
+        Object.defineProperty(prototype, name, {
+          value: PromiseHelper.wrap(prototype[name], methods[style][name], builders[style]),
+          writable: true,
+          configurable: true,
+        });
+      });
+    });
+  }
+}
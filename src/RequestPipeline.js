@@ -0,0 +1,301 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { CognitoServiceError, RequestAbortedError } from './CognitoErrors';
+
+/**
+ * Codes of the errors of requests throttled before being processed, retried for every
+ * operation.
+ */
+const throttlingCodes = [
+  'TooManyRequestsException',
+  'ThrottlingException',
+];
+
+/**
+ * Codes of the errors retried for idempotent operations only, besides the errors flagged
+ * as retryable: the request may have been processed before failing.
+ */
+const retryableCodes = [
+  'InternalErrorException',
+  'NetworkingError',
+  'TimeoutError',
+];
+
+/**
+ * Operations whose repetition has the same effect as a single request. Others, such as
+ * initiateAuth or signUp, are not sent again once they may have reached the service.
+ */
+const idempotentOperations = [
+  'getUser',
+  'getDevice',
+  'listDevices',
+  'updateDeviceStatus',
+  'setUserSettings',
+  'setUserMFAPreference',
+  'deleteUserAttributes',
+  'revokeToken',
+];
+
+/**
+ * @typedef {object} ServiceRequest
+ * @property {string} operation The operation, such as initiateAuth.
+ * @property {object} params The request parameters.
+ * @property {object} headers Additional HTTP headers.
+ * @property {int} attempt The attempt number, from 1.
+ * @property {int} timeout Milliseconds before an attempt fails, 0 for none.
+ * @property {AbortSignal=} signal Cancels the request when aborted.
+ */
+
+/**
+ * @callback middleware
+ * @param {ServiceRequest} request The request, which can be changed.
+ * @param {function(nodeCallback)} next Sends the request on, calling back with the response.
+ * @param {nodeCallback} callback Completes the request, with or without calling next.
+ */
+
+/** @class */
+export default class RequestPipeline {
+  /**
+   * Constructs a new RequestPipeline object, sending the requests of a user pool through
+   * middlewares, with retries, timeouts and cancellation
+   * @param {object} client The transport, see CognitoUserPool.
+   * @param {object=} options Request options.
+   * @param {int=} options.maxRetries Retries of failed attempts (default 3).
+   * @param {int=} options.retryDelay First retry delay in milliseconds, doubled on every
+   *        retry and randomized (default 100).
+   * @param {int=} options.maxRetryDelay Longest retry delay in milliseconds (default 20000).
+   * @param {int=} options.timeout Milliseconds before an attempt fails (default 0, none).
+   * @param {AbortSignal=} options.signal Cancels every request when aborted.
+   */
+  constructor(client, { maxRetries, retryDelay, maxRetryDelay, timeout, signal } = {}) {
+    this.client = client;
+    this.maxRetries = maxRetries == null ? 3 : maxRetries;
+    this.retryDelay = retryDelay == null ? 100 : retryDelay;
+    this.maxRetryDelay = maxRetryDelay == null ? 20000 : maxRetryDelay;
+    this.timeout = timeout || 0;
+    this.signal = signal;
+    this.middlewares = [];
+  }
+
+  /**
+   * This is used to add a middleware, called for every attempt of every request after the
+   * middlewares added before it
+   * @param {middleware} middleware The middleware.
+   * @returns {function} Call it to remove the middleware.
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return () => {
+      const index = this.middlewares.indexOf(middleware);
+      if (index !== -1) {
+        this.middlewares.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * This is used to send a request, retrying it while it is throttled, and while it fails
+   * with a retryable error if the operation is idempotent
+   * @param {string} operation The operation, such as initiateAuth.
+   * @param {object} params The request parameters.
+   * @param {nodeCallback<object>} callback Called on error or with the response data.
+   * @returns {void}
+   */
+  send(operation, params, callback) {
+    const request = {
+      operation,
+      params,
+      headers: {},
+      attempt: 0,
+      timeout: this.timeout,
+      signal: this.signal,
+    };
+
+    let retryTimer = null;
+    let stopListening = () => {};
+    let settled = false;
+    const settle = (err, data) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(retryTimer);
+      stopListening();
+      callback(err, data);
+    };
+
+    const attempt = () => {
+      request.attempt += 1;
+      stopListening();
+      if (request.signal && request.signal.aborted) {
+        settle(new RequestAbortedError(), null);
+        return;
+      }
+      // Middlewares may replace the signal, the abort listener follows the current one
+      const { signal } = request;
+      if (signal && signal.addEventListener) {
+        const onAbort = () => settle(new RequestAbortedError(), null);
+        signal.addEventListener('abort', onAbort);
+        stopListening = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.runMiddlewares(request, 0, (err, data) => {
+        if (settled) {
+          return;
+        }
+        if (!err || request.attempt > this.maxRetries ||
+          !RequestPipeline.isRetryable(err, request.operation)) {
+          settle(err ? CognitoServiceError.wrap(err) : null, data);
+          return;
+        }
+
+        const delay = Math.min(
+          this.retryDelay * Math.pow(2, request.attempt - 1), this.maxRetryDelay);
+        // Randomized so that clients throttled together do not retry together
+        retryTimer = setTimeout(attempt, (delay / 2) + (Math.random() * (delay / 2)));
+      });
+    };
+
+    attempt();
+  }
+
+  /**
+   * Calls the middlewares from an index, then the transport
+   * @param {ServiceRequest} request The request.
+   * @param {int} index Index of the next middleware.
+   * @param {nodeCallback<object>} callback Called with the response.
+   * @returns {void}
+   * @private
+   */
+  runMiddlewares(request, index, callback) {
+    if (index >= this.middlewares.length) {
+      this.sendAttempt(request, callback);
+      return;
+    }
+
+    let called = false;
+    const done = (err, data) => {
+      if (!called) {
+        called = true;
+        callback(err, data);
+      }
+    };
+    this.middlewares[index](request, next => this.runMiddlewares(request, index + 1, next), done);
+  }
+
+  /**
+   * Sends one attempt of a request with the transport, failing it after the timeout
+   * @param {ServiceRequest} request The request.
+   * @param {nodeCallback<object>} callback Called with the response.
+   * @returns {void}
+   * @private
+   */
+  sendAttempt(request, callback) {
+    const { signal } = request;
+    let timer = null;
+    let abort = () => {};
+    let done = false;
+    const complete = (err, data) => {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        if (signal && signal.removeEventListener) {
+          signal.removeEventListener('abort', abort);
+        }
+        callback(err, data);
+      }
+    };
+
+    abort = this.sendWithTransport(request, complete);
+
+    if (request.timeout > 0) {
+      timer = setTimeout(() => {
+        abort();
+        complete(new CognitoServiceError(
+          `${request.operation} timed out after ${request.timeout} ms`, 'TimeoutError',
+          { retryable: true }), null);
+      }, request.timeout);
+    }
+    if (!done && signal && signal.addEventListener) {
+      signal.addEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * @param {ServiceRequest} request The request.
+   * @param {nodeCallback<object>} callback Called with the response.
+   * @returns {function} Aborts the request, when the transport supports it.
+   * @private
+   */
+  sendWithTransport(request, callback) {
+    const { operation, params, headers } = request;
+
+    // CognitoServiceClient, or a custom transport with the same send method
+    if (typeof this.client.send === 'function') {
+      return this.client.send({ operation, params, headers }, callback) || (() => {});
+    }
+
+    // Transports other than the aws-sdk clients take a callback only
+    if (!RequestPipeline.isAwsSdkClient(this.client)) {
+      this.client.makeUnauthenticatedRequest(operation, params, callback);
+      return () => {};
+    }
+
+    const awsRequest = this.client.makeUnauthenticatedRequest(operation, params);
+    if (awsRequest == null || typeof awsRequest.send !== 'function') {
+      callback(new Error(`${operation} did not return a request to send.`), null);
+      return () => {};
+    }
+    awsRequest.on('build', () => {
+      Object.keys(headers).forEach(name => {
+        awsRequest.httpRequest.headers[name] = headers[name];
+      });
+    });
+    awsRequest.send(callback);
+    return () => awsRequest.abort();
+  }
+
+  /**
+   * Recognizes the clients of the aws-sdk by their interface, as the aws-sdk may not be
+   * loaded, or be another copy of it
+   * @param {object} client The transport.
+   * @returns {bool} if the client makes requests to send, like the aws-sdk clients
+   * @private
+   */
+  static isAwsSdkClient(client) {
+    return typeof client.makeRequest === 'function' && client.config != null &&
+      typeof client.makeUnauthenticatedRequest === 'function';
+  }
+
+  /**
+   * @param {Error} err A request error.
+   * @param {string} operation The operation of the request.
+   * @returns {bool} if sending the request again may succeed without repeating its effect
+   * @private
+   */
+  static isRetryable(err, operation) {
+    if (err instanceof RequestAbortedError) {
+      return false;
+    }
+    if (throttlingCodes.indexOf(err.code) !== -1) {
+      return true;
+    }
+    return idempotentOperations.indexOf(operation) !== -1 &&
+      (err.retryable === true || retryableCodes.indexOf(err.code) !== -1);
+  }
+}
@@ -0,0 +1,160 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * States reachable from each sign-in state. Starting a new sign-in is always
+ * allowed and goes back to INITIAL through reset(). Without SRP (USER_PASSWORD_AUTH),
+ * the first answer of the server can already be any challenge.
+ */
+const transitions = {
+  INITIAL: [
+    'PASSWORD_VERIFIER', 'SMS_MFA', 'SOFTWARE_TOKEN_MFA', 'SELECT_MFA_TYPE', 'MFA_SETUP',
+    'NEW_PASSWORD_REQUIRED', 'CUSTOM_CHALLENGE', 'DEVICE_SRP_AUTH', 'DONE',
+  ],
+  PASSWORD_VERIFIER: [
+    'SMS_MFA', 'SOFTWARE_TOKEN_MFA', 'SELECT_MFA_TYPE', 'MFA_SETUP', 'NEW_PASSWORD_REQUIRED',
+    'CUSTOM_CHALLENGE', 'DEVICE_SRP_AUTH', 'DONE',
+  ],
+  NEW_PASSWORD_REQUIRED: [
+    'SMS_MFA', 'SOFTWARE_TOKEN_MFA', 'SELECT_MFA_TYPE', 'MFA_SETUP', 'CUSTOM_CHALLENGE',
+    'DEVICE_SRP_AUTH', 'DONE',
+  ],
+  SELECT_MFA_TYPE: ['SMS_MFA', 'SOFTWARE_TOKEN_MFA'],
+  MFA_SETUP: ['MFA_SETUP', 'DEVICE_SRP_AUTH', 'DONE'],
+  SMS_MFA: ['DEVICE_SRP_AUTH', 'DONE'],
+  SOFTWARE_TOKEN_MFA: ['DEVICE_SRP_AUTH', 'DONE'],
+  CUSTOM_CHALLENGE: [
+    'CUSTOM_CHALLENGE', 'PASSWORD_VERIFIER', 'SMS_MFA', 'SOFTWARE_TOKEN_MFA', 'SELECT_MFA_TYPE',
+    'MFA_SETUP', 'NEW_PASSWORD_REQUIRED', 'DEVICE_SRP_AUTH', 'DONE',
+  ],
+  DEVICE_SRP_AUTH: ['DONE'],
+  DONE: [],
+};
+
+/** @class */
+export default class SignInStateMachine {
+  /**
+   * Constructs a new SignInStateMachine object
+   * @param {object=} data Previously serialized state, see toJSON.
+   * @param {string=} data.state The sign-in state.
+   * @param {string=} data.session The Cognito session of the pending challenge.
+   * @param {object=} data.challengeParameters Parameters of the pending challenge.
+   */
+  constructor({ state, session, challengeParameters } = {}) {
+    if (state != null && !Object.prototype.hasOwnProperty.call(transitions, state)) {
+      throw new Error(`Unknown sign-in state ${state}.`);
+    }
+
+    this.state = state || 'INITIAL';
+    this.session = session || null;
+    this.challengeParameters = challengeParameters || {};
+  }
+
+  /**
+   * @returns {string} the current sign-in state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @returns {string} the Cognito session of the pending challenge
+   */
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * @returns {object} the parameters of the pending challenge
+   */
+  getChallengeParameters() {
+    return this.challengeParameters;
+  }
+
+  /**
+   * @returns {bool} if a challenge is waiting for an answer
+   */
+  isPending() {
+    return this.state !== 'INITIAL' && this.state !== 'DONE';
+  }
+
+  /**
+   * @param {string} state The state to move to.
+   * @returns {bool} if the state can be reached from the current one
+   */
+  canTransition(state) {
+    return Object.prototype.hasOwnProperty.call(transitions, state) &&
+      transitions[this.state].indexOf(state) !== -1;
+  }
+
+  /**
+   * Moves to a new state
+   * @param {string} state The state to move to.
+   * @param {object=} data Server response of the step.
+   * @param {string=} data.Session The Cognito session of the new challenge.
+   * @param {object=} data.ChallengeParameters The parameters of the new challenge.
+   * @returns {void}
+   * @throws {Error} if the state is unknown or cannot be reached from the current one.
+   */
+  transition(state, data) {
+    if (!Object.prototype.hasOwnProperty.call(transitions, state)) {
+      throw new Error(`Unsupported sign-in challenge ${state}.`);
+    }
+    if (!this.canTransition(state)) {
+      throw new Error(`Invalid sign-in transition from ${this.state} to ${state}.`);
+    }
+
+    const { Session, ChallengeParameters } = data || {};
+    this.state = state;
+    this.session = state === 'DONE' ? null : Session || this.session;
+    this.challengeParameters = ChallengeParameters || {};
+  }
+
+  /**
+   * Checks the machine is waiting for the answer to a given challenge
+   * @param {string} state The expected state.
+   * @returns {void}
+   * @throws {Error} if the machine is in another state.
+   */
+  assertState(state) {
+    if (this.state !== state) {
+      throw new Error(
+        `Cannot answer the ${state} challenge while the sign-in is in state ${this.state}.`);
+    }
+  }
+
+  /**
+   * Goes back to the initial state, used when a new sign-in starts
+   * @returns {void}
+   */
+  reset() {
+    this.state = 'INITIAL';
+    this.session = null;
+    this.challengeParameters = {};
+  }
+
+  /**
+   * @returns {object} a flat object representing the state machine.
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      session: this.session,
+      challengeParameters: this.challengeParameters,
+    };
+  }
+}
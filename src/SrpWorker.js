@@ -0,0 +1,276 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global BigInt */
+
+import NativeBigInteger from './NativeBigInteger';
+
+/**
+ * Body of the worker. It runs in the scope of the worker, and so cannot use anything
+ * of this module: the exponentiation of NativeBigInteger is repeated here.
+ * @param {object} port The worker global scope in browsers, or the parentPort of the
+ *        worker thread in Node.js.
+ * @returns {void}
+ */
+function srpWorkerMain(port) {
+  const toBigInt = BigInt;
+  const zero = toBigInt(0);
+  const one = toBigInt(1);
+  const two = toBigInt(2);
+
+  const modPow = (base, exponent, modulus) => {
+    let b = base % modulus;
+    let e = exponent;
+    let result = one % modulus;
+    while (e > zero) {
+      if (e % two === one) {
+        result = (result * b) % modulus;
+      }
+      b = (b * b) % modulus;
+      e /= two;
+    }
+    return result;
+  };
+
+  const handleMessage = task => {
+    try {
+      const result = modPow(
+        toBigInt(`0x${task.base}`), toBigInt(`0x${task.exponent}`), toBigInt(`0x${task.modulus}`));
+      port.postMessage({ id: task.id, result: result.toString(16) });
+    } catch (err) {
+      port.postMessage({ id: task.id, error: String(err && err.message) });
+    }
+  };
+
+  if (typeof port.on === 'function') {
+    port.on('message', handleMessage);
+  } else {
+    port.addEventListener('message', event => handleMessage(event.data));
+  }
+}
+
+const workerSource = `(${srpWorkerMain.toString()})(typeof require === 'function' ? ` +
+  "require('worker_threads').parentPort : self);";
+
+let sharedWorker = null;
+
+/**
+ * Runs the modular exponentiations of SRP in a Web Worker in browsers, or in a worker
+ * thread in Node.js, so that signing in does not freeze the page. Where workers cannot
+ * be started, for instance when a Content Security Policy forbids blob: workers, the
+ * exponentiations run on the main thread between two event loop turns instead.
+ * @class
+ */
+export default class SrpWorker {
+  /**
+   * Constructs a new SrpWorker object, the worker itself is started on first use
+   */
+  constructor() {
+    this.worker = null;
+    this.workerUrl = null;
+    this.failed = false;
+    this.nextId = 0;
+    this.pendingTasks = {};
+    this.pendingCount = 0;
+  }
+
+  /**
+   * @returns {SrpWorker} the worker shared by all users, started on first use
+   */
+  static getShared() {
+    if (sharedWorker == null) {
+      sharedWorker = new SrpWorker();
+    }
+    return sharedWorker;
+  }
+
+  /**
+   * @returns {bool} if the platform can compute in a worker: the worker needs the
+   *          native BigInt
+   */
+  static isSupported() {
+    return NativeBigInteger.isSupported();
+  }
+
+  /**
+   * Computes base to the power exponent, modulo modulus
+   * @param {string} base Hex string of the base, not negative.
+   * @param {string} exponent Hex string of the exponent, not negative.
+   * @param {string} modulus Hex string of the modulus.
+   * @param {nodeCallback<string>} callback Called with the hex string of the result.
+   * @returns {void}
+   */
+  modPow(base, exponent, modulus, callback) {
+    const task = { id: this.nextId, base, exponent, modulus };
+    this.nextId += 1;
+
+    const worker = this.start();
+    if (worker == null) {
+      SrpWorker.computeInThread(task, callback);
+      return;
+    }
+
+    this.pendingTasks[task.id] = { task, callback };
+    this.pendingCount += 1;
+    if (this.pendingCount === 1 && typeof worker.ref === 'function') {
+      // Keeps Node.js running until the result is back
+      worker.ref();
+    }
+    worker.postMessage(task);
+  }
+
+  /**
+   * This is used to stop the worker, pending computations are finished on the main thread
+   * @returns {void}
+   */
+  terminate() {
+    this.stopWorker();
+    if (sharedWorker === this) {
+      sharedWorker = null;
+    }
+  }
+
+  /**
+   * Starts the worker if it is not running yet
+   * @returns {object} the worker, or null if it cannot run
+   * @private
+   */
+  start() {
+    if (this.worker != null || this.failed) {
+      return this.worker;
+    }
+    if (!SrpWorker.isSupported()) {
+      this.failed = true;
+      return null;
+    }
+
+    try {
+      if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+        typeof URL !== 'undefined' && URL.createObjectURL) {
+        this.workerUrl = URL.createObjectURL(
+          new Blob([workerSource], { type: 'application/javascript' }));
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = event => this.onMessage(event.data);
+        this.worker.onerror = event => this.onError(event);
+      } else if (typeof module !== 'undefined' && typeof module.require === 'function') {
+        // Loaded when used only, so that bundlers leave the Node.js modules out
+        const NodeWorker = module.require('worker_threads').Worker;
+        const worker = new NodeWorker(workerSource, { eval: true });
+        worker.on('message', message => this.onMessage(message));
+        worker.on('error', err => this.onError(err));
+        worker.on('exit', () => {
+          if (this.worker === worker) {
+            this.onError();
+          }
+        });
+        worker.unref();
+        this.worker = worker;
+      } else {
+        this.failed = true;
+      }
+    } catch (err) {
+      this.onError(err);
+    }
+    return this.worker;
+  }
+
+  /**
+   * @param {object} message Result of a task.
+   * @returns {void}
+   * @private
+   */
+  onMessage(message) {
+    const pending = this.pendingTasks[message.id];
+    if (pending == null) {
+      return;
+    }
+
+    this.removePendingTask(message.id);
+    if (message.error != null) {
+      pending.callback(new Error(message.error), null);
+      return;
+    }
+    pending.callback(null, message.result);
+  }
+
+  /**
+   * The worker could not start or crashed: it is not used anymore
+   * @returns {void}
+   * @private
+   */
+  onError() {
+    this.failed = true;
+    this.stopWorker();
+  }
+
+  /**
+   * Stops the worker and finishes its pending tasks on the main thread
+   * @returns {void}
+   * @private
+   */
+  stopWorker() {
+    if (this.worker != null) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerUrl != null) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+
+    const pendingTasks = this.pendingTasks;
+    this.pendingTasks = {};
+    this.pendingCount = 0;
+    Object.keys(pendingTasks).forEach(id => {
+      SrpWorker.computeInThread(pendingTasks[id].task, pendingTasks[id].callback);
+    });
+  }
+
+  /**
+   * @param {int} id The task id.
+   * @returns {void}
+   * @private
+   */
+  removePendingTask(id) {
+    delete this.pendingTasks[id];
+    this.pendingCount -= 1;
+    if (this.pendingCount === 0 && this.worker != null && typeof this.worker.unref === 'function') {
+      this.worker.unref();
+    }
+  }
+
+  /**
+   * Computes a task on the main thread, after the current event loop turn
+   * @param {object} task The task.
+   * @param {nodeCallback<string>} callback Called with the hex string of the result.
+   * @returns {void}
+   * @private
+   */
+  static computeInThread(task, callback) {
+    setTimeout(() => {
+      let result;
+      try {
+        result = new NativeBigInteger(task.base, 16).modPow(
+          new NativeBigInteger(task.exponent, 16), new NativeBigInteger(task.modulus, 16));
+      } catch (err) {
+        callback(err, null);
+        return;
+      }
+      callback(null, result.toString(16));
+    }, 0);
+  }
+}
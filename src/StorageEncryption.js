@@ -0,0 +1,119 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { util } from 'aws-sdk/global';
+
+import CryptoKeyStore from './CryptoKeyStore';
+
+/**
+ * Prefix of encrypted values, followed by the key id, the IV and the ciphertext.
+ */
+const encryptedValuePrefix = 'aesgcm:';
+
+/**
+ * Asynchronous storage encrypting the values of another storage with AES-GCM.
+ * Values that cannot be decrypted, because they were altered or their key was lost,
+ * are removed. Values stored before encryption was enabled are encrypted when read.
+ * @class
+ */
+export default class StorageEncryption {
+  /**
+   * Constructs a new StorageEncryption object
+   * @param {object} storage The storage of the encrypted values, synchronous or not.
+   * @param {CryptoKeyStore} keyStore The store of the encryption keys.
+   */
+  constructor(storage, keyStore) {
+    this.storage = storage;
+    this.keyStore = keyStore;
+
+    // Left undefined for storages that cannot list their keys, see AsyncStorage
+    if (typeof storage.getAllKeys === 'function') {
+      this.getAllKeys = () => Promise.resolve(storage.getAllKeys());
+    } else if (typeof storage.length === 'number' && typeof storage.key === 'function') {
+      this.getAllKeys = () => {
+        const keys = [];
+        for (let index = 0; index < storage.length; index++) {
+          keys.push(storage.key(index));
+        }
+        return Promise.resolve(keys);
+      };
+    }
+  }
+
+  /**
+   * This is used to read and decrypt an item
+   * @param {string} key The item key.
+   * @returns {Promise<string>} The value, or null if it is missing or cannot be decrypted,
+   *          in which case it is removed.
+   */
+  getItem(key) {
+    return Promise.resolve(this.storage.getItem(key)).then(storedValue => {
+      if (storedValue == null) {
+        return null;
+      }
+      if (storedValue.indexOf(encryptedValuePrefix) !== 0) {
+        return this.setItem(key, storedValue).then(() => storedValue);
+      }
+
+      const [keyId, iv, data] = storedValue.substring(encryptedValuePrefix.length).split(':');
+      return this.keyStore.getKeys()
+        .then(keys => {
+          const storedKey = keys.filter(candidate => candidate.id === keyId)[0];
+          if (!storedKey || !iv || !data) {
+            throw new Error('Missing encryption key.');
+          }
+          return CryptoKeyStore.getSubtleCrypto().decrypt({
+            name: 'AES-GCM',
+            iv: new util.Buffer(iv, 'base64'),
+            additionalData: new util.Buffer(key, 'utf8'),
+          }, storedKey.key, new util.Buffer(data, 'base64'));
+        })
+        // The value will never be readable, so it is cleared rather than failing every read
+        .then(plaintext => new util.Buffer(new Uint8Array(plaintext)).toString('utf8'), () =>
+          Promise.resolve(this.storage.removeItem(key)).then(() => null));
+    });
+  }
+
+  /**
+   * This is used to encrypt and write an item, with the newest key
+   * @param {string} key The item key.
+   * @param {string} value The value.
+   * @returns {Promise} Resolved once the item is written.
+   */
+  setItem(key, value) {
+    const iv = util.crypto.lib.randomBytes(12);
+    return this.keyStore.getCurrentKey()
+      .then(storedKey => CryptoKeyStore.getSubtleCrypto().encrypt({
+        name: 'AES-GCM',
+        iv,
+        additionalData: new util.Buffer(key, 'utf8'),
+      }, storedKey.key, new util.Buffer(`${value}`, 'utf8')).then(data => {
+        const encodedData = new util.Buffer(new Uint8Array(data)).toString('base64');
+        return this.storage.setItem(key,
+          `${encryptedValuePrefix}${storedKey.id}:${iv.toString('base64')}:${encodedData}`);
+      }));
+  }
+
+  /**
+   * This is used to remove an item
+   * @param {string} key The item key.
+   * @returns {Promise} Resolved once the item is removed.
+   */
+  removeItem(key) {
+    return Promise.resolve(this.storage.removeItem(key));
+  }
+}
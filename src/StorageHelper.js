@@ -84,4 +84,18 @@ export default class StorageHelper {
   getStorage() {
     return this.storageWindow;
   }
+
+  /**
+   * This is used to load a storage that keeps the items of an asynchronous storage
+   * in memory, such as AsyncStorageCache. Other storages are ready at once.
+   * @param {object} storage The storage.
+   * @param {nodeCallback<object>} callback Called on error or once the storage is loaded.
+   * @returns {void}
+   */
+  static sync(storage, callback) {
+    if (typeof storage.sync !== 'function') {
+      return callback(null, storage);
+    }
+    return storage.sync(err => (err ? callback(err, null) : callback(null, storage)));
+  }
 }
@@ -0,0 +1,142 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+let lockCount = 0;
+
+/**
+ * Milliseconds between writing the lock item and reading it back, so that the item of
+ * a tab taking the lock at the same time is seen.
+ */
+const settleDelay = 50;
+
+/**
+ * Mutual exclusion between browser tabs sharing a storage. Where the Web Locks API is
+ * available, the lock is a lock of the origin, released by the browser when the tab
+ * closes. Elsewhere it is a best effort item holding its owner and expiration time, so a
+ * crashed owner cannot hold it forever.
+ * @class
+ */
+export default class StorageLock {
+  /**
+   * Constructs a new StorageLock object
+   * @param {object} storage The storage shared by the tabs.
+   * @param {string} key The storage key of the lock.
+   * @param {int=} ttl Milliseconds after which a lock that was not released expires.
+   */
+  constructor(storage, key, ttl = 10000) {
+    this.storage = storage;
+    this.key = key;
+    this.ttl = ttl;
+
+    lockCount += 1;
+    this.owner = `${Date.now().toString(36)}${lockCount}${Math.random().toString(36).slice(2)}`;
+    this.releaseHeldLock = null;
+  }
+
+  /**
+   * @returns {bool} if another owner holds a lock that did not expire
+   */
+  isHeldByOther() {
+    const value = this.storage.getItem(this.key);
+    if (!value) {
+      return false;
+    }
+
+    const separator = value.lastIndexOf(':');
+    const owner = value.substring(0, separator);
+    const expiration = parseInt(value.substring(separator + 1), 10);
+    return owner !== this.owner && expiration > Date.now();
+  }
+
+  /**
+   * This is used to take the lock if it is free
+   * @param {function(bool)} callback Called with true if the lock was taken.
+   * @returns {void}
+   */
+  acquire(callback) {
+    const lockManager = StorageLock.getLockManager();
+    if (lockManager == null) {
+      this.acquireItem(callback);
+      return;
+    }
+
+    lockManager.request(this.key, { ifAvailable: true }, heldLock => {
+      if (heldLock == null) {
+        setTimeout(() => callback(false), 0);
+        return undefined;
+      }
+      // The lock is held until this promise resolves
+      return new Promise(resolve => {
+        this.releaseHeldLock = resolve;
+        setTimeout(() => callback(true), 0);
+      });
+    }).catch(() => {
+      // For instance in documents of opaque origins
+      if (this.releaseHeldLock == null) {
+        this.acquireItem(callback);
+      }
+    });
+  }
+
+  /**
+   * Takes the lock item if it is free, then reads it back after a delay to check that no
+   * other tab took it at the same time
+   * @param {function(bool)} callback Called with true if the lock was taken.
+   * @returns {void}
+   * @private
+   */
+  acquireItem(callback) {
+    if (this.isHeldByOther()) {
+      setTimeout(() => callback(false), 0);
+      return;
+    }
+
+    const value = `${this.owner}:${Date.now() + this.ttl}`;
+    this.storage.setItem(this.key, value);
+    setTimeout(() => callback(this.storage.getItem(this.key) === value), settleDelay);
+  }
+
+  /**
+   * This is used to free the lock, if it is still held by this owner
+   * @returns {void}
+   */
+  release() {
+    if (this.releaseHeldLock != null) {
+      const releaseHeldLock = this.releaseHeldLock;
+      this.releaseHeldLock = null;
+      releaseHeldLock();
+      return;
+    }
+
+    const value = this.storage.getItem(this.key);
+    if (value && value.substring(0, value.lastIndexOf(':')) === this.owner) {
+      this.storage.removeItem(this.key);
+    }
+  }
+
+  /**
+   * @returns {LockManager} the Web Locks API, or null if the platform does not have it
+   * @private
+   */
+  static getLockManager() {
+    if (typeof navigator === 'undefined' || !navigator.locks ||
+      typeof navigator.locks.request !== 'function') {
+      return null;
+    }
+    return navigator.locks;
+  }
+}
@@ -0,0 +1,270 @@
+/*!
+ * Copyright 2016 Amazon.com,
+ * Inc. or its affiliates. All Rights Reserved.
+ *
+ * Licensed under the Amazon Software License (the "License").
+ * You may not use this file except in compliance with the
+ * License. A copy of the License is located at
+ *
+ *     http://aws.amazon.com/asl/
+ *
+ * or in the "license" file accompanying this file. This file is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR
+ * CONDITIONS OF ANY KIND, express or implied. See the License
+ * for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { NotAuthenticatedError, SessionExpiredError } from './CognitoErrors';
+import EventEmitter from './EventEmitter';
+
+/**
+ * Codes of the refresh errors that may not happen again, besides the errors flagged as
+ * retryable. Other errors, such as NotAuthorizedException, end the session.
+ */
+const transientCodes = [
+  'NetworkingError',
+  'TimeoutError',
+  'TooManyRequestsException',
+  'ThrottlingException',
+  'InternalErrorException',
+  'RefreshLockTimeout',
+];
+
+/**
+ * Refreshes the session of a user shortly before its tokens expire.
+ *
+ * Events:
+ * - tokenRefreshed (session): the session was refreshed.
+ * - refreshFailed (err, attempt): a refresh failed with a transient error, such as a
+ *   network error, and will be retried.
+ * - sessionExpired (err): the session cannot be refreshed anymore, the user must sign in.
+ *   Emitted on the first failure that is not transient, or when the retries run out.
+ *   Also emitted when the user signs out, in this tab or in another one.
+ * @class
+ */
+export default class TokenRefresher extends EventEmitter {
+  /**
+   * Constructs a new TokenRefresher object
+   * @param {CognitoUser} user The user whose session is refreshed.
+   * @param {object=} options Refresh options.
+   * @param {int=} options.refreshMargin Seconds before expiration to refresh at (default 300).
+   * @param {int=} options.maxRetries Failed attempts before giving up (default 5).
+   * @param {int=} options.retryDelay First retry delay in milliseconds, doubled on
+   *        every attempt (default 1000).
+   * @param {int=} options.maxRetryDelay Longest retry delay in milliseconds (default 60000).
+   */
+  constructor(user, { refreshMargin, maxRetries, retryDelay, maxRetryDelay } = {}) {
+    super();
+
+    this.user = user;
+    this.refreshMargin = refreshMargin == null ? 300 : refreshMargin;
+    this.maxRetries = maxRetries == null ? 5 : maxRetries;
+    this.retryDelay = retryDelay == null ? 1000 : retryDelay;
+    this.maxRetryDelay = maxRetryDelay == null ? 60000 : maxRetryDelay;
+
+    this.timer = null;
+    this.attempt = 0;
+    this.running = false;
+    this.paused = false;
+    this.refreshing = false;
+
+    this.handleOnline = () => this.resume();
+    this.handleOffline = () => this.pause();
+    this.stopListeningToAuthState = null;
+  }
+
+  /**
+   * @returns {bool} if the refresher is started
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * This is used to start refreshing the session of the user
+   * @returns {void}
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.attempt = 0;
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('offline', this.handleOffline);
+    }
+    this.stopListeningToAuthState = this.user.pool.onAuthStateChange(change => {
+      // A refresh failing with an expired session clears the tokens, and then reports the
+      // error of the service itself
+      if (this.running && !this.refreshing && change.event === 'signOut' &&
+        change.user.getUsername() === this.user.getUsername()) {
+        this.stop();
+        this.emit('sessionExpired', new SessionExpiredError('User signed out'));
+      }
+    });
+    this.paused = this.isOffline();
+    this.schedule();
+  }
+
+  /**
+   * This is used to stop refreshing the session of the user
+   * @returns {void}
+   */
+  stop() {
+    this.running = false;
+    this.clearTimer();
+    if (this.stopListeningToAuthState) {
+      this.stopListeningToAuthState();
+      this.stopListeningToAuthState = null;
+    }
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('offline', this.handleOffline);
+    }
+  }
+
+  /**
+   * This is used to suspend refreshes, for instance while the device is offline
+   * @returns {void}
+   */
+  pause() {
+    this.paused = true;
+    this.clearTimer();
+  }
+
+  /**
+   * This is used to resume refreshes, refreshing at once if one was missed
+   * @returns {void}
+   */
+  resume() {
+    if (!this.running || !this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this.schedule();
+  }
+
+  /**
+   * @returns {bool} if the browser reports being offline
+   * @private
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  clearTimer() {
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Runs a function after a delay without keeping a Node.js process alive
+   * @param {function} fn The function to run.
+   * @param {int} delay Delay in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  setTimer(fn, delay) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      fn();
+    }, Math.max(0, delay));
+    if (this.timer && typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Plans the next refresh from the expiration of the current tokens
+   * @returns {void}
+   * @private
+   */
+  schedule() {
+    if (!this.running || this.paused) {
+      return;
+    }
+
+    const session = this.user.getSignInUserSession();
+    if (session == null) {
+      this.stop();
+      this.emit('sessionExpired', new NotAuthenticatedError());
+      return;
+    }
+
+    const expiration = Math.min(
+      session.getAccessToken().getExpiration(), session.getIdToken().getExpiration());
+    // The expiration is on the service clock, the timer on the local clock
+    const refreshAt = ((expiration + session.getClockDrift()) - this.refreshMargin) * 1000;
+
+    this.setTimer(() => this.refresh(), refreshAt - Date.now());
+  }
+
+  /**
+   * This is used to refresh the session now
+   * @returns {void}
+   */
+  refresh() {
+    if (!this.running) {
+      return;
+    }
+    if (this.isOffline()) {
+      this.pause();
+      return;
+    }
+
+    const session = this.user.getSignInUserSession();
+    if (session == null) {
+      this.schedule();
+      return;
+    }
+
+    this.refreshing = true;
+    this.user.refreshSession(session.getRefreshToken(), (err, newSession) => {
+      this.refreshing = false;
+      if (!this.running) {
+        return;
+      }
+
+      if (!err) {
+        this.attempt = 0;
+        this.emit('tokenRefreshed', newSession);
+        this.schedule();
+        return;
+      }
+
+      this.attempt += 1;
+      if (!TokenRefresher.isTransient(err) || this.attempt > this.maxRetries) {
+        this.stop();
+        this.emit('sessionExpired', err);
+        return;
+      }
+
+      this.emit('refreshFailed', err, this.attempt);
+      const delay = Math.min(this.retryDelay * Math.pow(2, this.attempt - 1), this.maxRetryDelay);
+      this.setTimer(() => this.refresh(), delay);
+    });
+  }
+
+  /**
+   * @param {Error} err A refresh error.
+   * @returns {bool} if refreshing again may succeed
+   * @private
+   */
+  static isTransient(err) {
+    if (err instanceof SessionExpiredError) {
+      return false;
+    }
+    return err.retryable === true || transientCodes.indexOf(err.code) !== -1;
+  }
+}
@@ -15,13 +15,47 @@
  * limitations under the License.
  */
 
+export { default as AsyncStorageCache } from './AsyncStorageCache';
 export { default as AuthenticationDetails } from './AuthenticationDetails';
 export { default as AuthenticationHelper } from './AuthenticationHelper';
 export { default as CognitoAccessToken } from './CognitoAccessToken';
+export { default as CognitoIdentityPoolBridge } from './CognitoIdentityPoolBridge';
 export { default as CognitoIdToken } from './CognitoIdToken';
 export { default as CognitoRefreshToken } from './CognitoRefreshToken';
+export { default as CognitoServiceClient } from './CognitoServiceClient';
 export { default as CognitoUser } from './CognitoUser';
 export { default as CognitoUserAttribute } from './CognitoUserAttribute';
 export { default as CognitoUserPool } from './CognitoUserPool';
 export { default as CognitoUserSession } from './CognitoUserSession';
+export { default as CookieStorage } from './CookieStorage';
+export { default as CryptoHelper } from './CryptoHelper';
+export { default as CryptoKeyStore } from './CryptoKeyStore';
+export { default as CognitoJwtToken } from './CognitoJwtToken';
+export { default as CognitoJwtVerifier } from './CognitoJwtVerifier';
+export { default as CognitoOAuthClient } from './CognitoOAuthClient';
 export { default as DateHelper } from './DateHelper';
+export { default as DeviceNameHelper } from './DeviceNameHelper';
+export { default as EncryptedStorage } from './EncryptedStorage';
+export { default as HttpClient } from './HttpClient';
+export { default as NativeBigInteger } from './NativeBigInteger';
+export { default as RequestPipeline } from './RequestPipeline';
+export { default as SignInStateMachine } from './SignInStateMachine';
+export { default as SrpWorker } from './SrpWorker';
+export { default as TokenRefresher } from './TokenRefresher';
+export {
+  CognitoError,
+  NotAuthenticatedError,
+  SessionExpiredError,
+  ChallengeRequiredError,
+  DeviceNotFoundError,
+  RequestAbortedError,
+  CognitoServiceError,
+} from './CognitoErrors';
+export {
+  JwtVerificationError,
+  JwtParseError,
+  JwtInvalidSignatureError,
+  JwtExpiredError,
+  JwtInvalidClaimError,
+  JwksError,
+} from './JwtErrors';
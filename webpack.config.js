@@ -33,12 +33,6 @@ var config = {
       commonjs: 'aws-sdk/global',
       amd: 'aws-sdk/global'
     },
-    'aws-sdk/clients/cognitoidentityserviceprovider': {
-      root: ['AWSCognito', 'CognitoIdentityServiceProvider'],
-      commonjs2: 'aws-sdk/clients/cognitoidentityserviceprovider',
-      commonjs: 'aws-sdk/clients/cognitoidentityserviceprovider',
-      amd: 'aws-sdk/clients/cognitoidentityserviceprovider'
-    },
   },
   plugins: [
     new webpack.optimize.OccurrenceOrderPlugin(),